@@ -2,11 +2,107 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+const env = process.env.NODE_ENV || 'local';
+const isDevelopment = env === 'local' || env === 'dev';
+
 export default {
-  env: process.env.NODE_ENV || 'local',
+  env,
   port: process.env.PORT || 3000,
   mongoURI: process.env.MONGO_URI || 'mongodb://localhost:27017/todo-app',
   jwtSecret: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production',
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenExpiresDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7,
+  refreshTokenMaxSessionDays: parseInt(process.env.REFRESH_TOKEN_MAX_SESSION_DAYS) || 30,
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+  passwordResetExpiresMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60,
+  emailVerificationExpiresHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24,
+  trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+  trashPurgeIntervalMinutes: parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60,
+  // Number of proxies in front of the app, so req.ip (used for rate limits) is the client's address
+  trustProxy: parseInt(process.env.TRUST_PROXY) || 0,
+  rateLimit: {
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    windowMinutes: parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15,
+    maxPerIp: parseInt(process.env.RATE_LIMIT_MAX_PER_IP) || 1000,
+    authMaxPerIp: parseInt(process.env.AUTH_RATE_LIMIT_MAX_PER_IP) || 50,
+    authMaxPerAccount: parseInt(process.env.AUTH_RATE_LIMIT_MAX_PER_ACCOUNT) || 10,
+  },
+  loginLockout: {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    baseLockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+    maxLockMinutes: parseInt(process.env.LOGIN_MAX_LOCK_MINUTES) || 24 * 60,
+  },
+  attachments: {
+    storage: process.env.ATTACHMENT_STORAGE || 'local',
+    localDir: process.env.ATTACHMENT_DIR || 'uploads',
+    maxFileSizeMb: parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10,
+    maxPerTask: parseInt(process.env.ATTACHMENT_MAX_PER_TASK) || 20,
+    allowedTypes: process.env.ATTACHMENT_ALLOWED_TYPES
+      ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map((type) => type.trim())
+      : [
+          'image/png',
+          'image/jpeg',
+          'image/gif',
+          'image/webp',
+          'application/pdf',
+          'text/plain',
+          'text/csv',
+          'text/markdown',
+          'application/msword',
+          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          'application/vnd.ms-excel',
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        ],
+    // S3 or an S3-compatible server (e.g. MinIO running locally)
+    s3: {
+      endpoint: process.env.S3_ENDPOINT || 'http://localhost:9000',
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET || 'todo-attachments',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    },
+  },
+  imports: {
+    maxFileSizeMb: parseInt(process.env.IMPORT_MAX_SIZE_MB) || 5,
+    maxRows: parseInt(process.env.IMPORT_MAX_ROWS) || 1000,
+    allowedTypes: [
+      'text/csv',
+      'application/csv',
+      'application/vnd.ms-excel',
+      'application/json',
+      'text/plain',
+      'application/octet-stream',
+    ],
+  },
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    // Retries wait retryBaseSeconds, then twice as long after each failure
+    retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    pollIntervalSeconds: parseInt(process.env.WEBHOOK_POLL_INTERVAL_SECONDS) || 10,
+    deliveryRetentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30,
+    // Allow deliveries to private, loopback and link-local addresses (local testing only)
+    allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true',
+  },
+  notifications: {
+    reminderIntervalMinutes: parseInt(process.env.REMINDER_INTERVAL_MINUTES) || 1,
+    retentionDays: parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90,
+  },
+  mail: {
+    // Mail (with reset and verification links) is only written to disk by default in development,
+    // and only kept in memory in tests; everywhere else it is sent over SMTP
+    transport:
+      process.env.MAIL_TRANSPORT || (isDevelopment ? 'file' : env === 'test' ? 'memory' : 'smtp'),
+    fileDir: process.env.MAIL_FILE_DIR || '/tmp/mail',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.MAIL_FROM || 'Todo App <no-reply@todo-app.local>',
+    },
+  },
 };
 
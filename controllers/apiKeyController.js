@@ -0,0 +1,91 @@
+import ApiKey from '../models/ApiKey.js';
+import { AppError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+import { successResponse } from '../utils/responseHandler.js';
+import logger from '../utils/logger.js';
+
+// Maximum number of active keys per user
+const MAX_ACTIVE_KEYS = 25;
+
+/**
+ * @desc    List your API keys (the keys themselves are never returned)
+ * @route   GET /api/api-keys
+ * @access  Private (signed-in user)
+ */
+export const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort('-createdAt');
+
+    return successResponse(res, 200, 'API keys retrieved successfully', { apiKeys });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create an API key
+ * @route   POST /api/api-keys
+ * @access  Private (signed-in user)
+ */
+export const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const activeKeys = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeKeys >= MAX_ACTIVE_KEYS) {
+      throw new AppError(`You can have at most ${MAX_ACTIVE_KEYS} active API keys`, 409);
+    }
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { key, doc } = await ApiKey.generate(req.user._id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+
+    logger.info({
+      message: 'API key created',
+      apiKeyId: doc._id,
+      userId: req.user._id,
+      scopes: doc.scopes,
+    });
+
+    // The raw key is only returned once
+    return successResponse(res, 201, 'API key created successfully', { apiKey: doc, key });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/api-keys/:id
+ * @access  Private (key owner)
+ */
+export const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!apiKey) {
+      throw new AppError('API key not found', 404, ERROR_CODES.API_KEY_NOT_FOUND);
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    logger.info({
+      message: 'API key revoked',
+      apiKeyId: apiKey._id,
+      userId: req.user._id,
+    });
+
+    return successResponse(res, 200, 'API key revoked successfully', { apiKey });
+  } catch (error) {
+    next(error);
+  }
+};
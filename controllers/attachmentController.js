@@ -0,0 +1,245 @@
+import path from 'path';
+import Task from '../models/Task.js';
+import { AppError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { getTaskAccess } from '../utils/taskAccess.js';
+import { getStorage, attachmentKey } from '../utils/storage.js';
+import { canCheckContent, contentMatchesType } from '../utils/fileType.js';
+import logger from '../utils/logger.js';
+import config from '../config/config.js';
+
+/**
+ * User context attached to task writes for audit logging
+ */
+const getAuditUser = (user) => ({
+  id: user._id,
+  name: user.email,
+  role: user.roles[0] || 'user',
+});
+
+/**
+ * Load the task from the route and check the current user's access to it
+ * requiredAccess is 'read' (view and download) or 'write' (upload and delete)
+ */
+const loadTask = async (req, requiredAccess) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    throw new AppError('Task not found', 404, ERROR_CODES.TASK_NOT_FOUND);
+  }
+
+  const access = await getTaskAccess(task, req.user);
+
+  if (!access || (requiredAccess === 'write' && access !== 'write')) {
+    throw new AppError('Not authorized to access this task', 403, ERROR_CODES.TASK_FORBIDDEN);
+  }
+
+  return task;
+};
+
+const findAttachment = (task, attachmentId) => {
+  const attachment = task.attachments.id(attachmentId);
+
+  if (!attachment) {
+    throw new AppError('Attachment not found', 404, ERROR_CODES.ATTACHMENT_NOT_FOUND);
+  }
+
+  return attachment;
+};
+
+// Keep the base name only, without control characters
+const sanitizeFilename = (filename) =>
+  path
+    .basename(filename.replace(/\\/g, '/'))
+    .replace(/\p{Cc}/gu, '')
+    .slice(0, 255) || 'file';
+
+// Type recorded for allowed files whose content can't be checked
+const GENERIC_MIME_TYPE = 'application/octet-stream';
+
+/**
+ * MIME type to record for an upload: the declared type once the content matches it
+ */
+const resolveMimeType = (file) => {
+  if (!canCheckContent(file.mimetype)) {
+    return GENERIC_MIME_TYPE;
+  }
+
+  if (!contentMatchesType(file.buffer, file.mimetype)) {
+    throw new AppError(
+      `File content is not ${file.mimetype}`,
+      415,
+      ERROR_CODES.ATTACHMENT_TYPE_NOT_ALLOWED
+    );
+  }
+
+  return file.mimetype;
+};
+
+/**
+ * @desc    List a task's attachments
+ * @route   GET /api/tasks/:id/attachments
+ * @access  Private (owner/project member/task.read.any)
+ */
+export const getAttachments = async (req, res, next) => {
+  try {
+    const task = await loadTask(req, 'read');
+    await task.populate('attachments.uploadedBy', 'email');
+
+    return successResponse(res, 200, 'Attachments retrieved successfully', {
+      attachments: task.attachments,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check the user may add an attachment to the task before the upload is read
+ * Runs ahead of the upload middleware and sets req.task for uploadAttachment
+ */
+export const authorizeUpload = async (req, res, next) => {
+  try {
+    const task = await loadTask(req, 'write');
+
+    if (task.attachments.length >= config.attachments.maxPerTask) {
+      throw new AppError(
+        `A task can have at most ${config.attachments.maxPerTask} attachments`,
+        409,
+        ERROR_CODES.ATTACHMENT_LIMIT_REACHED
+      );
+    }
+
+    req.task = task;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Upload an attachment (multipart/form-data, field "file")
+ * @route   POST /api/tasks/:id/attachments
+ * @access  Private (owner/project editor/task.update.any)
+ */
+export const uploadAttachment = async (req, res, next) => {
+  try {
+    // Loaded and checked by authorizeUpload
+    const { task } = req;
+
+    const attachment = task.attachments.create({
+      filename: sanitizeFilename(req.file.originalname),
+      mimeType: resolveMimeType(req.file),
+      size: req.file.size,
+      uploadedBy: req.user._id,
+    });
+    const key = attachmentKey(task._id, attachment._id);
+
+    await getStorage().put(key, req.file.buffer, { contentType: attachment.mimeType });
+
+    task.attachments.push(attachment);
+    // Attach user context so the upload is recorded in the task's audit trail
+    task.$locals.auditUser = getAuditUser(req.user);
+    try {
+      await task.save();
+    } catch (error) {
+      // Don't leave an orphaned file behind
+      await getStorage()
+        .delete(key)
+        .catch(() => {});
+      throw error;
+    }
+
+    logger.info({
+      message: 'Attachment uploaded',
+      taskId: task._id,
+      attachmentId: attachment._id,
+      size: attachment.size,
+      userId: req.user._id,
+    });
+
+    return successResponse(res, 201, 'Attachment uploaded successfully', { attachment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download an attachment
+ * @route   GET /api/tasks/:id/attachments/:attachmentId
+ * @access  Private (owner/project member/task.read.any)
+ */
+export const downloadAttachment = async (req, res, next) => {
+  try {
+    const task = await loadTask(req, 'read');
+    const attachment = findAttachment(task, req.params.attachmentId);
+
+    const stream = await getStorage().get(attachmentKey(task._id, attachment._id));
+
+    if (!stream) {
+      throw new AppError('Attachment file is missing', 404, ERROR_CODES.ATTACHMENT_NOT_FOUND);
+    }
+
+    // Always download (never render inline) with the type recorded at upload; the
+    // sandbox keeps a browser that renders it anyway from running scripts
+    res.attachment(attachment.filename);
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': String(attachment.size),
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+    });
+
+    stream.on('error', (error) => {
+      logger.error({
+        message: 'Attachment download failed',
+        attachmentId: attachment._id,
+        error: error.message,
+      });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an attachment
+ * @route   DELETE /api/tasks/:id/attachments/:attachmentId
+ * @access  Private (owner/project editor/task.update.any)
+ */
+export const deleteAttachment = async (req, res, next) => {
+  try {
+    const task = await loadTask(req, 'write');
+    const attachment = findAttachment(task, req.params.attachmentId);
+
+    task.attachments.pull(attachment._id);
+    task.$locals.auditUser = getAuditUser(req.user);
+    await task.save();
+
+    // The metadata is gone, so a failed removal only leaves an orphaned file
+    await getStorage()
+      .delete(attachmentKey(task._id, attachment._id))
+      .catch((error) => {
+        logger.error({
+          message: 'Failed to delete attachment file',
+          taskId: task._id,
+          attachmentId: attachment._id,
+          error: error.message,
+        });
+      });
+
+    logger.info({
+      message: 'Attachment deleted',
+      taskId: task._id,
+      attachmentId: attachment._id,
+      userId: req.user._id,
+    });
+
+    return successResponse(res, 200, 'Attachment deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
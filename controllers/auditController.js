@@ -1,61 +1,98 @@
 import TaskHistory from '../models/TaskHistory.js';
-import { AppError } from '../utils/AppError.js';
-import { successResponse } from '../utils/responseHandler.js';
+import { AppError, fieldError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+import { successResponse, writeChunk } from '../utils/responseHandler.js';
+import { toCsvLine } from '../utils/csv.js';
+import logger from '../utils/logger.js';
+import {
+  parseDate,
+  parseDateRange,
+  parsePagination,
+  buildPagination,
+  isCursorMode,
+  decodeCursor,
+  applyCursor,
+  buildCursorPage,
+} from '../utils/queryHelpers.js';
 
 /**
- * @desc    Get audit logs (admin only)
+ * Build the audit log filters shared by listing and export
+ */
+const buildAuditQuery = (params) => {
+  const query = {};
+
+  // Filter by model (if needed)
+  if (params.model) {
+    query.model = params.model;
+  }
+
+  // Filter by task ID
+  if (params.taskId) {
+    query.model_id = params.taskId;
+  }
+
+  // Filter by user who made the change
+  if (params.userId) {
+    query['created_by.id'] = params.userId;
+  }
+
+  // Filter by change type
+  if (params.changeType) {
+    query.change_type = params.changeType;
+  }
+
+  // Filter by date range
+  const createdAt = parseDateRange(params, 'from', 'to');
+  if (createdAt) {
+    query.created_at = createdAt;
+  }
+
+  return query;
+};
+
+/**
+ * @desc    Get audit logs
  * @route   GET /api/audit-logs
- * @access  Private (admin)
+ * @query   model, taskId, userId, changeType, from, to,
+ *          page, limit or paginate=cursor, cursor, limit
+ * @access  Private (audit.read)
  */
 export const getAuditLogs = async (req, res, next) => {
   try {
+    const query = buildAuditQuery(req.query);
 
-    // Build query filters
-    const query = {};
-
-    // Filter by model (if needed)
-    if (req.query.model) {
-      query.model = req.query.model;
-    }
+    // Cursor pagination (stable under inserts, no count query)
+    if (isCursorMode(req.query)) {
+      const { limit } = parsePagination(req.query);
+      const cursor = decodeCursor(req.query.cursor);
+      applyCursor(query, cursor, 'created_at');
 
-    // Filter by task ID
-    if (req.query.taskId) {
-      query.model_id = req.query.taskId;
-    }
+      const results = await TaskHistory.find(query)
+        .sort({ created_at: -1, _id: -1 })
+        .limit(limit + 1)
+        .lean();
 
-    // Filter by user who made the change
-    if (req.query.userId) {
-      query['created_by.id'] = req.query.userId;
-    }
+      const { items: logs, pagination } = buildCursorPage(results, limit, 'created_at');
 
-    // Filter by change type
-    if (req.query.changeType) {
-      query.change_type = req.query.changeType;
+      return successResponse(res, 200, 'Audit logs retrieved successfully', { logs, pagination });
     }
 
-    // Pagination
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    // Page/limit pagination
+    const { page, limit, skip } = parsePagination(req.query);
 
     // Get total count
     const total = await TaskHistory.countDocuments(query);
 
     // Get audit logs
     const logs = await TaskHistory.find(query)
-      .sort({ created_at: -1 })
+      .sort({ created_at: -1, _id: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
     return successResponse(res, 200, 'Audit logs retrieved successfully', {
       logs,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit),
-      },
+      pagination: buildPagination(page, limit, total),
     });
   } catch (error) {
     next(error);
@@ -65,7 +102,7 @@ export const getAuditLogs = async (req, res, next) => {
 /**
  * @desc    Get audit logs for a specific task
  * @route   GET /api/audit-logs/task/:taskId
- * @access  Private (admin)
+ * @access  Private (audit.read)
  */
 export const getTaskAuditLogs = async (req, res, next) => {
   try {
@@ -81,3 +118,160 @@ export const getTaskAuditLogs = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Reconstruct a task's state at a point in time from its audit logs
+ * @route   GET /api/audit-logs/task/:taskId/at
+ * @query   timestamp (ISO 8601, required)
+ * @access  Private (audit.read)
+ */
+export const getTaskStateAt = async (req, res, next) => {
+  try {
+    const at = parseDate(req.query.timestamp, 'timestamp');
+
+    if (!at) {
+      throw fieldError('timestamp', 'timestamp is required');
+    }
+
+    const result = await TaskHistory.reconstructState(req.params.taskId, { at });
+
+    if (!result) {
+      throw new AppError('Task did not exist at that time', 404, ERROR_CODES.TASK_NOT_FOUND);
+    }
+
+    return successResponse(res, 200, 'Task state reconstructed successfully', {
+      task: result.state,
+      asOf: at,
+      exists: !result.removed,
+      trashed: result.trashed,
+      entriesApplied: result.entriesApplied,
+      lastEntryId: result.lastEntryId,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const EXPORT_COLUMNS = [
+  'id',
+  'created_at',
+  'model',
+  'model_id',
+  'change_type',
+  'user_id',
+  'user_name',
+  'user_role',
+  'changes',
+  'reverted_to',
+  'import_id',
+  'seq',
+  'prev_hash',
+  'hash',
+];
+
+const toCsvRow = (entry) =>
+  toCsvLine([
+    entry._id,
+    entry.created_at.toISOString(),
+    entry.model,
+    entry.model_id,
+    entry.change_type,
+    entry.created_by?.id,
+    entry.created_by?.name,
+    entry.created_by?.role,
+    JSON.stringify(entry.logs),
+    entry.reverted_to,
+    entry.import_id,
+    entry.seq,
+    entry.prev_hash,
+    entry.hash,
+  ]);
+
+/**
+ * @desc    Export audit logs as CSV or NDJSON (streamed, oldest first)
+ * @route   GET /api/audit-logs/export
+ * @query   format (csv, ndjson), model, taskId, userId, changeType, from, to
+ * @access  Private (audit.read)
+ */
+export const exportAuditLogs = async (req, res, next) => {
+  try {
+    const { format } = req.query;
+    const query = buildAuditQuery(req.query);
+
+    const cursor = TaskHistory.find(query).sort({ created_at: 1, _id: 1 }).lean().cursor();
+
+    res.attachment(`audit-logs-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+
+    let count = 0;
+    let connected = format === 'csv' ? await writeChunk(res, toCsvLine(EXPORT_COLUMNS)) : true;
+
+    for await (const entry of cursor) {
+      if (!connected) break;
+
+      const chunk = format === 'csv' ? toCsvRow(entry) : `${JSON.stringify(entry)}\n`;
+      connected = await writeChunk(res, chunk);
+      count += 1;
+    }
+
+    if (!connected) {
+      await cursor.close();
+      return;
+    }
+    res.end();
+
+    logger.info({
+      message: 'Audit logs exported',
+      userId: req.user._id,
+      format,
+      count,
+    });
+  } catch (error) {
+    // Once streaming has started the status can't change, so drop the connection
+    if (res.headersSent) {
+      logger.error({
+        message: 'Audit log export failed',
+        userId: req.user._id,
+        error: error.message,
+      });
+      res.destroy(error);
+      return;
+    }
+    res.removeHeader('Content-Disposition');
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify the audit log hash chains of one task, or of a page of tasks
+ * @route   GET /api/audit-logs/verify
+ * @query   taskId, or after (task ID from pagination.nextAfter) and limit
+ * @access  Private (audit.read)
+ */
+export const verifyAuditLogs = async (req, res, next) => {
+  try {
+    const { limit } = parsePagination(req.query, { defaultLimit: 100, maxLimit: 500 });
+    const report = await TaskHistory.verifyChain({
+      modelId: req.query.taskId,
+      after: req.query.after,
+      limit,
+    });
+
+    if (!report.valid) {
+      logger.warn({
+        message: 'Audit log verification found issues',
+        userId: req.user._id,
+        taskId: req.query.taskId,
+        issues: report.issueCount,
+      });
+    }
+
+    return successResponse(
+      res,
+      200,
+      report.valid ? 'Audit logs verified' : 'Audit log verification found issues',
+      report
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,7 +1,72 @@
 import User from '../models/User.js';
-import { AppError } from '../utils/AppError.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { AppError, fieldError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
 import { generateToken } from '../utils/generateToken.js';
 import { successResponse } from '../utils/responseHandler.js';
+import { sendMail } from '../utils/mailer.js';
+import logger from '../utils/logger.js';
+import config from '../config/config.js';
+
+/**
+ * Start a new session: issue a refresh token family and a matching access token
+ */
+const createSession = async (user, req) => {
+  const { token: refreshToken, doc } = await RefreshToken.issue(user._id, { ip: req.ip });
+  const token = generateToken(user._id, doc.family);
+
+  return { token, refreshToken };
+};
+
+/**
+ * Revoke the whole family of a reused refresh token so neither party can keep using
+ * the session, and return the error to respond with
+ */
+const refreshTokenReuseError = async (stored, req) => {
+  await RefreshToken.revokeFamily(stored.family, 'reuse_detected');
+
+  logger.warn({
+    message: 'Refresh token reuse detected',
+    userId: stored.user,
+    family: stored.family,
+    ip: req.ip,
+  });
+
+  return new AppError(
+    'Refresh token has been revoked',
+    401,
+    ERROR_CODES.AUTH_REFRESH_TOKEN_REVOKED
+  );
+};
+
+/**
+ * Error for logins to a locked account, with Retry-After set to when the lock expires
+ */
+const accountLockedError = (res, lockUntil) => {
+  res.set('Retry-After', String(Math.ceil((lockUntil.getTime() - Date.now()) / 1000)));
+
+  return new AppError(
+    'Account is temporarily locked due to too many failed login attempts',
+    423,
+    ERROR_CODES.AUTH_ACCOUNT_LOCKED
+  );
+};
+
+/**
+ * Create a verification token for the user and email them the link
+ */
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken(config.emailVerificationExpiresHours);
+  await user.save();
+
+  const link = `${config.clientUrl}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Confirm your email address by opening the link below:\n\n${link}\n\nThis link expires in ${config.emailVerificationExpiresHours} hours.`,
+  });
+};
 
 /**
  * @desc    Register new user
@@ -14,13 +79,13 @@ export const signup = async (req, res, next) => {
 
     // Validation
     if (!email || !password) {
-      throw new AppError('Email and password are required', 400);
+      throw new AppError('Email and password are required', 422, ERROR_CODES.VALIDATION_FAILED);
     }
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      throw new AppError('User already exists', 409);
+      throw new AppError('User already exists', 409, ERROR_CODES.USER_ALREADY_EXISTS);
     }
 
     // Create user (password will be hashed by pre-save hook)
@@ -29,20 +94,43 @@ export const signup = async (req, res, next) => {
       passwordHash: password, // Will be hashed by pre-save middleware
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email (signup still succeeds if delivery fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error({
+        message: 'Failed to send verification email',
+        userId: user._id,
+        error: mailError.message,
+      });
+    }
 
     // Return user data (without password)
     const userData = {
       id: user._id,
       email: user.email,
       roles: user.roles,
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt,
     };
 
+    // No session until the address is verified, when verification is required
+    if (config.requireEmailVerification) {
+      return successResponse(
+        res,
+        201,
+        'User registered successfully, please verify your email address before logging in',
+        { user: userData }
+      );
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await createSession(user, req);
+
     return successResponse(res, 201, 'User registered successfully', {
       user: userData,
       token,
+      refreshToken,
     });
   } catch (error) {
     next(error);
@@ -60,38 +148,335 @@ export const login = async (req, res, next) => {
 
     // Validation
     if (!email || !password) {
-      throw new AppError('Email and password are required', 400);
+      throw new AppError('Email and password are required', 422, ERROR_CODES.VALIDATION_FAILED);
     }
 
     // Check if user exists and get password
     const user = await User.findOne({ email }).select('+passwordHash');
 
     if (!user) {
-      throw new AppError('Invalid credentials', 401);
+      throw new AppError('Invalid credentials', 401, ERROR_CODES.AUTH_INVALID_CREDENTIALS);
+    }
+
+    // Locked accounts can't log in, even with the right password
+    if (user.isLocked()) {
+      throw accountLockedError(res, user.lockUntil);
     }
 
     // Check password
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
-      throw new AppError('Invalid credentials', 401);
+      const lockUntil = await user.registerFailedLogin(config.loginLockout);
+
+      if (lockUntil) {
+        logger.warn({
+          message: 'Account locked after failed logins',
+          userId: user._id,
+          lockUntil,
+          ip: req.ip,
+        });
+        throw accountLockedError(res, lockUntil);
+      }
+
+      throw new AppError('Invalid credentials', 401, ERROR_CODES.AUTH_INVALID_CREDENTIALS);
+    }
+
+    if (user.failedLoginAttempts > 0 || user.lockCount > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    if (config.requireEmailVerification && !user.emailVerified) {
+      throw new AppError(
+        'Please verify your email address before logging in',
+        403,
+        ERROR_CODES.AUTH_EMAIL_NOT_VERIFIED
+      );
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     // Return user data (without password)
     const userData = {
       id: user._id,
       email: user.email,
       roles: user.roles,
+      permissions: await user.loadPermissions(),
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt,
     };
 
     return successResponse(res, 200, 'Login successful', {
       user: userData,
       token,
+      refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Rotate refresh token and issue a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires refresh token)
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      throw fieldError('refreshToken', 'Refresh token is required');
+    }
+
+    const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(refreshToken) });
+
+    if (!stored) {
+      throw new AppError('Invalid refresh token', 401, ERROR_CODES.AUTH_REFRESH_TOKEN_INVALID);
+    }
+
+    // A revoked token being presented again means it was stolen or replayed
+    if (stored.revokedAt) {
+      throw await refreshTokenReuseError(stored, req);
+    }
+
+    if (stored.isExpired()) {
+      throw new AppError('Refresh token expired', 401, ERROR_CODES.AUTH_REFRESH_TOKEN_EXPIRED);
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user) {
+      await RefreshToken.revokeFamily(stored.family, 'admin_revoked');
+      throw new AppError('Invalid refresh token', 401, ERROR_CODES.AUTH_REFRESH_TOKEN_INVALID);
+    }
+
+    // Rotate: issue the replacement first, then claim the presented token. A concurrent
+    // refresh that loses the claim revokes the family, replacement included.
+    const { token: newRefreshToken, doc } = await RefreshToken.issue(user._id, {
+      family: stored.family,
+      familyExpiresAt: stored.familyExpiresAt,
+      ip: req.ip,
+    });
+
+    if (!(await RefreshToken.claim(stored._id, doc.tokenHash))) {
+      throw await refreshTokenReuseError(stored, req);
+    }
+
+    const token = generateToken(user._id, doc.family);
+
+    return successResponse(res, 200, 'Token refreshed successfully', {
+      token,
+      refreshToken: newRefreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout (revoke the session the refresh token belongs to)
+ * @route   POST /api/auth/logout
+ * @access  Public (requires refresh token)
+ */
+export const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      throw fieldError('refreshToken', 'Refresh token is required');
+    }
+
+    const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(refreshToken) });
+
+    // Logging out is idempotent; unknown tokens are simply ignored
+    if (stored) {
+      await RefreshToken.revokeFamily(stored.family, 'logout');
+
+      logger.info({
+        message: 'User logged out',
+        userId: stored.user,
+      });
+    }
+
+    return successResponse(res, 200, 'Logged out successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request a password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      throw fieldError('email', 'Email is required');
+    }
+
+    const user = await User.findOne({ email });
+
+    // Respond identically whether or not the account exists
+    if (user) {
+      const token = user.createPasswordResetToken(config.passwordResetExpiresMinutes);
+      await user.save();
+
+      const link = `${config.clientUrl}/reset-password?token=${token}`;
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `A password reset was requested for your account. Open the link below to choose a new password:\n\n${link}\n\nThis link expires in ${config.passwordResetExpiresMinutes} minutes. If you did not request this, you can ignore this email.`,
+        });
+      } catch (mailError) {
+        logger.error({
+          message: 'Failed to send password reset email',
+          userId: user._id,
+          error: mailError.message,
+        });
+      }
+    }
+
+    return successResponse(
+      res,
+      200,
+      'If an account with that email exists, a password reset link has been sent'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset password using a reset token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      throw new AppError('Token and password are required', 422, ERROR_CODES.VALIDATION_FAILED);
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
     });
+
+    if (!user) {
+      throw new AppError(
+        'Password reset token is invalid or has expired',
+        400,
+        ERROR_CODES.AUTH_RESET_TOKEN_INVALID
+      );
+    }
+
+    // Tokens are single-use
+    user.passwordHash = password; // Will be hashed by pre-save middleware
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    // Proving access to the email address also lifts any login lockout
+    user.failedLoginAttempts = 0;
+    user.lockCount = 0;
+    user.lockUntil = null;
+    await user.save();
+
+    // Log out every existing session
+    await RefreshToken.revokeAllForUser(user._id, 'password_reset');
+
+    logger.info({
+      message: 'Password reset',
+      userId: user._id,
+    });
+
+    return successResponse(res, 200, 'Password reset successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify email address using a verification token
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      throw fieldError('token', 'Token is required');
+    }
+
+    const user = await User.findOne({
+      emailVerificationTokenHash: User.hashToken(token),
+      emailVerificationExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      throw new AppError(
+        'Verification token is invalid or has expired',
+        400,
+        ERROR_CODES.AUTH_VERIFICATION_TOKEN_INVALID
+      );
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    logger.info({
+      message: 'Email verified',
+      userId: user._id,
+    });
+
+    return successResponse(res, 200, 'Email verified successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Public
+ */
+export const resendVerification = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      throw fieldError('email', 'Email is required');
+    }
+
+    const user = await User.findOne({ email });
+
+    // Respond identically whether or not the account exists or is already verified
+    if (user && !user.emailVerified) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error({
+          message: 'Failed to send verification email',
+          userId: user._id,
+          error: mailError.message,
+        });
+      }
+    }
+
+    return successResponse(
+      res,
+      200,
+      'If an unverified account with that email exists, a verification link has been sent'
+    );
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,264 @@
+import Comment, { parseMentions } from '../models/Comment.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import { AppError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { parsePagination, buildPagination } from '../utils/queryHelpers.js';
+import { getTaskAccess } from '../utils/taskAccess.js';
+import { notifyMentions } from '../utils/notifications.js';
+import logger from '../utils/logger.js';
+
+const COMMENT_POPULATE = [
+  { path: 'author', select: 'email' },
+  { path: 'mentions', select: 'email' },
+];
+
+/**
+ * User context attached to comment writes for audit logging
+ */
+const getAuditUser = (user) => ({
+  id: user._id,
+  name: user.email,
+  role: user.roles[0] || 'user',
+});
+
+/**
+ * Load the task from the route and check the current user can see it
+ * Returns the task and the user's access level ('read' or 'write')
+ */
+const loadTask = async (req) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    throw new AppError('Task not found', 404, ERROR_CODES.TASK_NOT_FOUND);
+  }
+
+  const access = await getTaskAccess(task, req.user);
+
+  if (!access) {
+    throw new AppError('Not authorized to access this task', 403, ERROR_CODES.TASK_FORBIDDEN);
+  }
+
+  return { task, access };
+};
+
+/**
+ * Load a comment of a task
+ */
+const loadComment = async (task, commentId, { withEdits = false } = {}) => {
+  const query = Comment.findOne({ _id: commentId, task: task._id });
+  const comment = await (withEdits ? query.select('+edits') : query);
+
+  if (!comment) {
+    throw new AppError('Comment not found', 404, ERROR_CODES.COMMENT_NOT_FOUND);
+  }
+
+  return comment;
+};
+
+/**
+ * Resolve @email mentions in a comment body to users who can see the task
+ * Other emails are left unlinked, so comments don't reveal which addresses have accounts
+ */
+const resolveMentions = async (body, task) => {
+  const emails = parseMentions(body);
+
+  if (emails.length === 0) {
+    return [];
+  }
+
+  const users = await User.find({ email: { $in: emails } });
+
+  const mentions = [];
+  for (const user of users) {
+    await user.loadPermissions();
+    if (await getTaskAccess(task, user)) {
+      mentions.push(user._id);
+    }
+  }
+
+  return mentions;
+};
+
+/**
+ * Notify users mentioned in a comment who weren't mentioned before
+ * Failures are logged rather than failing the request, as the comment is already saved
+ */
+const notifyNewMentions = async (comment, task, author, previousMentions = []) => {
+  const previous = new Set(previousMentions.map(String));
+  const mentionIds = comment.mentions.filter((id) => !previous.has(String(id)));
+
+  if (mentionIds.length === 0) {
+    return;
+  }
+
+  try {
+    await notifyMentions({ comment, task, author, mentionIds });
+  } catch (error) {
+    logger.error({
+      message: 'Failed to send mention notifications',
+      commentId: comment._id,
+      error: error.message,
+    });
+  }
+};
+
+const isAuthor = (comment, user) => comment.author.toString() === user._id.toString();
+
+/**
+ * @desc    Get a task's comments (oldest first)
+ * @route   GET /api/tasks/:id/comments
+ * @query   page, limit
+ * @access  Private (owner/project member/task.read.any)
+ */
+export const getComments = async (req, res, next) => {
+  try {
+    const { task } = await loadTask(req);
+    const { page, limit, skip } = parsePagination(req.query);
+    const query = { task: task._id };
+
+    const [total, comments] = await Promise.all([
+      Comment.countDocuments(query),
+      Comment.find(query)
+        .populate(COMMENT_POPULATE)
+        .sort({ createdAt: 1, _id: 1 })
+        .skip(skip)
+        .limit(limit),
+    ]);
+
+    return successResponse(res, 200, 'Comments retrieved successfully', {
+      comments,
+      pagination: buildPagination(page, limit, total),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single comment with its edit history
+ * @route   GET /api/tasks/:id/comments/:commentId
+ * @access  Private (owner/project member/task.read.any)
+ */
+export const getComment = async (req, res, next) => {
+  try {
+    const { task } = await loadTask(req);
+    const comment = await loadComment(task, req.params.commentId, { withEdits: true });
+    await comment.populate(COMMENT_POPULATE);
+
+    return successResponse(res, 200, 'Comment retrieved successfully', { comment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Comment on a task
+ * @route   POST /api/tasks/:id/comments
+ * @access  Private (owner/project member/task.read.any)
+ */
+export const createComment = async (req, res, next) => {
+  try {
+    const { task } = await loadTask(req);
+    const { body } = req.body;
+
+    const comment = new Comment({
+      task: task._id,
+      author: req.user._id,
+      body,
+      mentions: await resolveMentions(body, task),
+    });
+    // Attach user context for the task's audit trail
+    comment.$locals.auditUser = getAuditUser(req.user);
+    await comment.save();
+
+    await notifyNewMentions(comment, task, req.user);
+    await comment.populate(COMMENT_POPULATE);
+
+    logger.info({
+      message: 'Comment created',
+      commentId: comment._id,
+      taskId: task._id,
+      userId: req.user._id,
+      mentions: comment.mentions.length,
+    });
+
+    return successResponse(res, 201, 'Comment created successfully', { comment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Edit a comment (previous versions are kept)
+ * @route   PUT /api/tasks/:id/comments/:commentId
+ * @access  Private (comment author)
+ */
+export const updateComment = async (req, res, next) => {
+  try {
+    const { task } = await loadTask(req);
+    const comment = await loadComment(task, req.params.commentId, { withEdits: true });
+
+    if (!isAuthor(comment, req.user)) {
+      throw new AppError('Only the author can edit a comment', 403, ERROR_CODES.COMMENT_FORBIDDEN);
+    }
+
+    const { body } = req.body;
+
+    if (comment.edit(body)) {
+      const previousMentions = [...comment.mentions];
+      comment.mentions = await resolveMentions(body, task);
+      comment.$locals.auditUser = getAuditUser(req.user);
+      await comment.save();
+
+      await notifyNewMentions(comment, task, req.user, previousMentions);
+
+      logger.info({
+        message: 'Comment edited',
+        commentId: comment._id,
+        taskId: task._id,
+        userId: req.user._id,
+      });
+    }
+
+    await comment.populate(COMMENT_POPULATE);
+
+    return successResponse(res, 200, 'Comment updated successfully', { comment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a comment
+ * @route   DELETE /api/tasks/:id/comments/:commentId
+ * @access  Private (comment author, or anyone who can edit the task)
+ */
+export const deleteComment = async (req, res, next) => {
+  try {
+    const { task, access } = await loadTask(req);
+    const comment = await loadComment(task, req.params.commentId);
+
+    if (!isAuthor(comment, req.user) && access !== 'write') {
+      throw new AppError(
+        'Not authorized to delete this comment',
+        403,
+        ERROR_CODES.COMMENT_FORBIDDEN
+      );
+    }
+
+    await Comment.findOneAndDelete({ _id: comment._id }, { auditUser: getAuditUser(req.user) });
+
+    logger.info({
+      message: 'Comment deleted',
+      commentId: comment._id,
+      taskId: task._id,
+      userId: req.user._id,
+    });
+
+    return successResponse(res, 200, 'Comment deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
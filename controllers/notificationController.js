@@ -0,0 +1,158 @@
+import Notification from '../models/Notification.js';
+import { AppError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { parsePagination, buildPagination } from '../utils/queryHelpers.js';
+
+const NOTIFICATION_POPULATE = [
+  { path: 'actor', select: 'email' },
+  { path: 'task', select: 'title dueDate completed' },
+];
+
+const PREFERENCE_FIELDS = [
+  'taskAssigned',
+  'taskChanged',
+  'mentions',
+  'dueReminders',
+  'reminderLeadMinutes',
+];
+
+const countUnread = (user) => Notification.countDocuments({ recipient: user._id, readAt: null });
+
+/**
+ * @desc    Get your notifications (newest first) with the unread count
+ * @route   GET /api/notifications
+ * @query   unread, page, limit
+ * @access  Private (signed-in user)
+ */
+export const getNotifications = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const query = { recipient: req.user._id };
+    if (req.query.unread === 'true') {
+      query.readAt = null;
+    }
+
+    const [total, notifications, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.find(query)
+        .populate(NOTIFICATION_POPULATE)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      countUnread(req.user),
+    ]);
+
+    return successResponse(res, 200, 'Notifications retrieved successfully', {
+      notifications,
+      unreadCount,
+      pagination: buildPagination(page, limit, total),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get your unread notification count
+ * @route   GET /api/notifications/unread-count
+ * @access  Private (signed-in user)
+ */
+export const getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await countUnread(req.user);
+
+    return successResponse(res, 200, 'Unread count retrieved successfully', { unreadCount });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   POST /api/notifications/:id/read
+ * @access  Private (recipient)
+ */
+export const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id,
+    });
+
+    if (!notification) {
+      throw new AppError('Notification not found', 404, ERROR_CODES.NOTIFICATION_NOT_FOUND);
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return successResponse(res, 200, 'Notification marked as read', {
+      notification,
+      unreadCount: await countUnread(req.user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark all your notifications as read
+ * @route   POST /api/notifications/read-all
+ * @access  Private (signed-in user)
+ */
+export const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    return successResponse(res, 200, 'All notifications marked as read', {
+      updated: result.modifiedCount,
+      unreadCount: 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get your notification preferences
+ * @route   GET /api/notifications/preferences
+ * @access  Private (signed-in user)
+ */
+export const getNotificationPreferences = async (req, res, next) => {
+  try {
+    return successResponse(res, 200, 'Notification preferences retrieved successfully', {
+      preferences: req.user.notificationPreferences,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update your notification preferences (only the fields given)
+ * @route   PUT /api/notifications/preferences
+ * @access  Private (signed-in user)
+ */
+export const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    PREFERENCE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        req.user.notificationPreferences[field] = req.body[field];
+      }
+    });
+    await req.user.save();
+
+    return successResponse(res, 200, 'Notification preferences updated successfully', {
+      preferences: req.user.notificationPreferences,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
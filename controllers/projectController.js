@@ -0,0 +1,309 @@
+import Project, { PROJECT_ROLES } from '../models/Project.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import { AppError, fieldError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+import { successResponse } from '../utils/responseHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Load a project and check the current user has at least the given role
+ * project.manage.any grants full access to every project, project.read.any viewer access
+ */
+const loadProject = async (req, minimumRole) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    throw new AppError('Project not found', 404, ERROR_CODES.PROJECT_NOT_FOUND);
+  }
+
+  const canAccessAny =
+    req.user.hasPermission('project.manage.any') ||
+    (minimumRole === 'viewer' && req.user.hasPermission('project.read.any'));
+
+  if (!canAccessAny && !project.hasRole(req.user._id, minimumRole)) {
+    const message = project.getMemberRole(req.user._id)
+      ? 'Insufficient project role for this action'
+      : 'Not authorized to access this project';
+    throw new AppError(message, 403, ERROR_CODES.PROJECT_FORBIDDEN);
+  }
+
+  return project;
+};
+
+const validateRole = (role) => {
+  if (!PROJECT_ROLES.includes(role)) {
+    throw fieldError('role', `Project role must be one of: ${PROJECT_ROLES.join(', ')}`);
+  }
+};
+
+/**
+ * @desc    Get projects (member projects, or all projects with project.read.any)
+ * @route   GET /api/projects
+ * @access  Private
+ */
+export const getProjects = async (req, res, next) => {
+  try {
+    const canReadAll =
+      req.user.hasPermission('project.read.any') || req.user.hasPermission('project.manage.any');
+    const query = canReadAll ? {} : { 'members.user': req.user._id };
+
+    const projects = await Project.find(query).populate('members.user', 'email').sort('-createdAt');
+
+    return successResponse(res, 200, 'Projects retrieved successfully', { projects });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single project
+ * @route   GET /api/projects/:id
+ * @access  Private (project member/project.read.any)
+ */
+export const getProject = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, 'viewer');
+    await project.populate('members.user', 'email');
+
+    const taskCount = await Task.countDocuments({ project: project._id });
+
+    return successResponse(res, 200, 'Project retrieved successfully', { project, taskCount });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create project (creator becomes project owner)
+ * @route   POST /api/projects
+ * @access  Private
+ */
+export const createProject = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    // Validation
+    if (!name) {
+      throw fieldError('name', 'Project name is required');
+    }
+
+    const project = await Project.create({
+      name,
+      description: description || '',
+      createdBy: req.user._id,
+      members: [{ user: req.user._id, role: 'owner' }],
+    });
+
+    await project.populate('members.user', 'email');
+
+    logger.info({
+      message: 'Project created',
+      projectId: project._id,
+      userId: req.user._id,
+    });
+
+    return successResponse(res, 201, 'Project created successfully', { project });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update project
+ * @route   PUT /api/projects/:id
+ * @access  Private (project owner/project.manage.any)
+ */
+export const updateProject = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, 'owner');
+
+    if (req.body.name !== undefined) project.name = req.body.name;
+    if (req.body.description !== undefined) project.description = req.body.description;
+
+    await project.save();
+    await project.populate('members.user', 'email');
+
+    logger.info({
+      message: 'Project updated',
+      projectId: project._id,
+      userId: req.user._id,
+    });
+
+    return successResponse(res, 200, 'Project updated successfully', { project });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete project (tasks are kept and detached from the project)
+ * @route   DELETE /api/projects/:id
+ * @access  Private (project owner/project.manage.any)
+ */
+export const deleteProject = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, 'owner');
+
+    // Detach tasks (trashed ones included) one by one so each change is audited
+    const options = {
+      auditUser: {
+        id: req.user._id,
+        name: req.user.email,
+        role: req.user.roles[0] || 'user',
+      },
+      withDeleted: true,
+    };
+    const tasks = await Task.find({ project: project._id })
+      .setOptions({ withDeleted: true })
+      .select('_id');
+    for (const task of tasks) {
+      await Task.findByIdAndUpdate(task._id, { project: null }, options);
+    }
+
+    await Project.findByIdAndDelete(project._id);
+
+    logger.info({
+      message: 'Project deleted',
+      projectId: project._id,
+      userId: req.user._id,
+      detachedTasks: tasks.length,
+    });
+
+    return successResponse(res, 200, 'Project deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add member to project
+ * @route   POST /api/projects/:id/members
+ * @access  Private (project owner/project.manage.any)
+ */
+export const addProjectMember = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, 'owner');
+    const { userId, role = 'viewer' } = req.body;
+
+    if (!userId) {
+      throw fieldError('userId', 'userId is required');
+    }
+    validateRole(role);
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404, ERROR_CODES.USER_NOT_FOUND);
+    }
+
+    if (project.getMemberRole(user._id)) {
+      throw new AppError(
+        'User is already a project member',
+        409,
+        ERROR_CODES.PROJECT_MEMBER_EXISTS
+      );
+    }
+
+    project.members.push({ user: user._id, role });
+    await project.save();
+    await project.populate('members.user', 'email');
+
+    logger.info({
+      message: 'Project member added',
+      projectId: project._id,
+      memberId: user._id,
+      role,
+      userId: req.user._id,
+    });
+
+    return successResponse(res, 201, 'Project member added successfully', { project });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a project member's role
+ * @route   PUT /api/projects/:id/members/:userId
+ * @access  Private (project owner/project.manage.any)
+ */
+export const updateProjectMember = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, 'owner');
+    const { role } = req.body;
+
+    validateRole(role);
+
+    const member = project.members.find((m) => m.user.toString() === req.params.userId);
+    if (!member) {
+      throw new AppError('Project member not found', 404, ERROR_CODES.PROJECT_MEMBER_NOT_FOUND);
+    }
+
+    // A project must always keep at least one owner
+    const ownerCount = project.members.filter((m) => m.role === 'owner').length;
+    if (member.role === 'owner' && role !== 'owner' && ownerCount === 1) {
+      throw new AppError(
+        'Project must have at least one owner',
+        400,
+        ERROR_CODES.PROJECT_OWNER_REQUIRED
+      );
+    }
+
+    member.role = role;
+    await project.save();
+    await project.populate('members.user', 'email');
+
+    logger.info({
+      message: 'Project member role changed',
+      projectId: project._id,
+      memberId: req.params.userId,
+      role,
+      userId: req.user._id,
+    });
+
+    return successResponse(res, 200, 'Project member updated successfully', { project });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove member from project
+ * @route   DELETE /api/projects/:id/members/:userId
+ * @access  Private (project owner/project.manage.any)
+ */
+export const removeProjectMember = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, 'owner');
+
+    const member = project.members.find((m) => m.user.toString() === req.params.userId);
+    if (!member) {
+      throw new AppError('Project member not found', 404, ERROR_CODES.PROJECT_MEMBER_NOT_FOUND);
+    }
+
+    // A project must always keep at least one owner
+    const ownerCount = project.members.filter((m) => m.role === 'owner').length;
+    if (member.role === 'owner' && ownerCount === 1) {
+      throw new AppError(
+        'Project must have at least one owner',
+        400,
+        ERROR_CODES.PROJECT_OWNER_REQUIRED
+      );
+    }
+
+    project.members = project.members.filter((m) => m.user.toString() !== req.params.userId);
+    await project.save();
+    await project.populate('members.user', 'email');
+
+    logger.info({
+      message: 'Project member removed',
+      projectId: project._id,
+      memberId: req.params.userId,
+      userId: req.user._id,
+    });
+
+    return successResponse(res, 200, 'Project member removed successfully', { project });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,171 @@
+import Role, { PERMISSIONS } from '../models/Role.js';
+import User from '../models/User.js';
+import { AppError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+import { successResponse } from '../utils/responseHandler.js';
+import logger from '../utils/logger.js';
+import { assertCanGrant } from '../middleware/rbac.js';
+
+/**
+ * Load a custom role for modification (built-in roles are read-only)
+ */
+const loadCustomRole = async (name) => {
+  if (Role.isBuiltIn(name)) {
+    throw new AppError('Built-in roles cannot be modified', 400, ERROR_CODES.ROLE_BUILT_IN);
+  }
+
+  const role = await Role.findOne({ name });
+
+  if (!role) {
+    throw new AppError('Role not found', 404, ERROR_CODES.ROLE_NOT_FOUND);
+  }
+
+  return role;
+};
+
+/**
+ * @desc    Get all roles and the available permissions
+ * @route   GET /api/roles
+ * @access  Private (role.manage)
+ */
+export const getRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.listAll();
+    const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({
+      name,
+      description,
+    }));
+
+    return successResponse(res, 200, 'Roles retrieved successfully', { roles, permissions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single role with its number of users
+ * @route   GET /api/roles/:name
+ * @access  Private (role.manage)
+ */
+export const getRole = async (req, res, next) => {
+  try {
+    const role = await Role.findByName(req.params.name);
+
+    if (!role) {
+      throw new AppError('Role not found', 404, ERROR_CODES.ROLE_NOT_FOUND);
+    }
+
+    const userCount = await User.countDocuments({ roles: role.name });
+
+    return successResponse(res, 200, 'Role retrieved successfully', { role, userCount });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a custom role
+ * @route   POST /api/roles
+ * @access  Private (role.manage)
+ */
+export const createRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (Role.isBuiltIn(name) || (await Role.exists({ name }))) {
+      throw new AppError('A role with this name already exists', 409, ERROR_CODES.ROLE_NAME_TAKEN);
+    }
+
+    const uniquePermissions = [...new Set(permissions)];
+    assertCanGrant(req.user, uniquePermissions);
+
+    const role = await Role.create({
+      name,
+      description: description || '',
+      permissions: uniquePermissions,
+      createdBy: req.user._id,
+    });
+
+    logger.info({
+      message: 'Role created',
+      role: role.name,
+      permissions: role.permissions,
+      createdBy: req.user._id,
+    });
+
+    return successResponse(res, 201, 'Role created successfully', {
+      role: { ...role.toObject(), builtIn: false },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a custom role's description or permissions
+ * @route   PUT /api/roles/:name
+ * @access  Private (role.manage)
+ */
+export const updateRole = async (req, res, next) => {
+  try {
+    const role = await loadCustomRole(req.params.name);
+    const { description, permissions } = req.body;
+
+    // Can't edit roles granting more than the current user has
+    assertCanGrant(req.user, role.permissions);
+
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) {
+      role.permissions = [...new Set(permissions)];
+      assertCanGrant(req.user, role.permissions);
+    }
+
+    await role.save();
+
+    // Permissions are resolved on every request, so the change applies immediately
+    logger.info({
+      message: 'Role updated',
+      role: role.name,
+      permissions: role.permissions,
+      updatedBy: req.user._id,
+    });
+
+    return successResponse(res, 200, 'Role updated successfully', {
+      role: { ...role.toObject(), builtIn: false },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a custom role (only when no user has it)
+ * @route   DELETE /api/roles/:name
+ * @access  Private (role.manage)
+ */
+export const deleteRole = async (req, res, next) => {
+  try {
+    const role = await loadCustomRole(req.params.name);
+
+    const userCount = await User.countDocuments({ roles: role.name });
+    if (userCount > 0) {
+      throw new AppError(
+        `Role is assigned to ${userCount} user(s); reassign them first`,
+        409,
+        ERROR_CODES.ROLE_IN_USE
+      );
+    }
+
+    await role.deleteOne();
+
+    logger.info({
+      message: 'Role deleted',
+      role: role.name,
+      deletedBy: req.user._id,
+    });
+
+    return successResponse(res, 200, 'Role deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
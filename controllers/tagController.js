@@ -0,0 +1,236 @@
+import mongoose from 'mongoose';
+import Tag from '../models/Tag.js';
+import Task from '../models/Task.js';
+import { AppError, fieldError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+import { successResponse } from '../utils/responseHandler.js';
+import logger from '../utils/logger.js';
+
+// Case-insensitive collation matching the unique name index
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Load a tag and check the current user owns it (or has tag.manage.any)
+ */
+const loadTag = async (id, user) => {
+  const tag = await Tag.findById(id);
+
+  if (!tag) {
+    throw new AppError('Tag not found', 404, ERROR_CODES.TAG_NOT_FOUND);
+  }
+
+  const canManageAny = user.hasPermission('tag.manage.any');
+  if (!canManageAny && tag.owner.toString() !== user._id.toString()) {
+    throw new AppError('Not authorized to access this tag', 403, ERROR_CODES.TAG_FORBIDDEN);
+  }
+
+  return tag;
+};
+
+/**
+ * Check no other tag of the same owner already uses the name
+ */
+const assertNameAvailable = async (ownerId, name, excludeId) => {
+  const query = { owner: ownerId, name: name.trim() };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  const existing = await Tag.findOne(query).collation(NAME_COLLATION);
+  if (existing) {
+    throw new AppError('A tag with this name already exists', 409, ERROR_CODES.TAG_NAME_TAKEN);
+  }
+};
+
+const getAuditOptions = (req) => ({
+  auditUser: {
+    id: req.user._id,
+    name: req.user.email,
+    role: req.user.roles[0] || 'user',
+  },
+});
+
+/**
+ * @desc    Get current user's tags with task counts
+ * @route   GET /api/tags
+ * @access  Private
+ */
+export const getTags = async (req, res, next) => {
+  try {
+    const tags = await Tag.find({ owner: req.user._id }).collation(NAME_COLLATION).sort('name');
+
+    const counts = await Task.aggregate([
+      { $match: { tags: { $in: tags.map((tag) => tag._id) } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+    ]);
+    const countMap = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+    const tagsWithCounts = tags.map((tag) => ({
+      ...tag.toObject(),
+      taskCount: countMap.get(tag._id.toString()) || 0,
+    }));
+
+    return successResponse(res, 200, 'Tags retrieved successfully', { tags: tagsWithCounts });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create tag
+ * @route   POST /api/tags
+ * @access  Private
+ */
+export const createTag = async (req, res, next) => {
+  try {
+    const { name, color } = req.body;
+
+    // Validation
+    if (!name) {
+      throw fieldError('name', 'Tag name is required');
+    }
+
+    await assertNameAvailable(req.user._id, name);
+
+    const tag = await Tag.create({
+      name,
+      color,
+      owner: req.user._id,
+    });
+
+    logger.info({
+      message: 'Tag created',
+      tagId: tag._id,
+      userId: req.user._id,
+    });
+
+    return successResponse(res, 201, 'Tag created successfully', { tag });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update (rename/recolor) tag
+ * @route   PUT /api/tags/:id
+ * @access  Private (tag owner/tag.manage.any)
+ */
+export const updateTag = async (req, res, next) => {
+  try {
+    const tag = await loadTag(req.params.id, req.user);
+
+    if (req.body.name !== undefined) {
+      await assertNameAvailable(tag.owner, req.body.name, tag._id);
+      tag.name = req.body.name;
+    }
+    if (req.body.color !== undefined) tag.color = req.body.color;
+
+    // Tasks reference tags by ID, so a rename is reflected on every task
+    await tag.save();
+
+    logger.info({
+      message: 'Tag updated',
+      tagId: tag._id,
+      userId: req.user._id,
+    });
+
+    return successResponse(res, 200, 'Tag updated successfully', { tag });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete tag (removed from every task that uses it)
+ * @route   DELETE /api/tags/:id
+ * @access  Private (tag owner/tag.manage.any)
+ */
+export const deleteTag = async (req, res, next) => {
+  try {
+    const tag = await loadTag(req.params.id, req.user);
+    const options = { ...getAuditOptions(req), withDeleted: true };
+
+    // Update tasks (trashed ones included) one by one so each change is audited
+    const tasks = await Task.find({ tags: tag._id })
+      .setOptions({ withDeleted: true })
+      .select('tags');
+    for (const task of tasks) {
+      const tags = task.tags.filter((id) => !id.equals(tag._id));
+      await Task.findByIdAndUpdate(task._id, { tags }, options);
+    }
+
+    await Tag.findByIdAndDelete(tag._id);
+
+    logger.info({
+      message: 'Tag deleted',
+      tagId: tag._id,
+      userId: req.user._id,
+      affectedTasks: tasks.length,
+    });
+
+    return successResponse(res, 200, 'Tag deleted successfully', {
+      affectedTasks: tasks.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Merge tag into another tag (source tag is deleted)
+ * @route   POST /api/tags/:id/merge
+ * @access  Private (tag owner/tag.manage.any)
+ */
+export const mergeTag = async (req, res, next) => {
+  try {
+    const { targetId } = req.body;
+
+    if (!targetId || !mongoose.isValidObjectId(targetId)) {
+      throw fieldError('targetId', 'A valid targetId is required');
+    }
+
+    if (targetId === req.params.id) {
+      throw fieldError('targetId', 'Cannot merge a tag into itself');
+    }
+
+    const source = await loadTag(req.params.id, req.user);
+    const target = await loadTag(targetId, req.user);
+
+    if (!source.owner.equals(target.owner)) {
+      throw new AppError('Tags must belong to the same user to be merged', 400);
+    }
+
+    const options = { ...getAuditOptions(req), withDeleted: true };
+
+    // Replace the source tag with the target on every task, trashed ones included
+    // (without duplicates)
+    const tasks = await Task.find({ tags: source._id })
+      .setOptions({ withDeleted: true })
+      .select('tags');
+    for (const task of tasks) {
+      const tags = task.tags.filter((id) => !id.equals(source._id));
+      if (!tags.some((id) => id.equals(target._id))) {
+        tags.push(target._id);
+      }
+      await Task.findByIdAndUpdate(task._id, { tags }, options);
+    }
+
+    await Tag.findByIdAndDelete(source._id);
+
+    logger.info({
+      message: 'Tags merged',
+      sourceTagId: source._id,
+      targetTagId: target._id,
+      userId: req.user._id,
+      affectedTasks: tasks.length,
+    });
+
+    return successResponse(res, 200, 'Tags merged successfully', {
+      tag: target,
+      affectedTasks: tasks.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
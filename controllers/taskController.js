@@ -1,30 +1,405 @@
-import Task from '../models/Task.js';
-import { AppError } from '../utils/AppError.js';
-import { successResponse } from '../utils/responseHandler.js';
+import mongoose from 'mongoose';
+import Task, { PRIORITIES } from '../models/Task.js';
+import Project from '../models/Project.js';
+import Tag from '../models/Tag.js';
+import User from '../models/User.js';
+import TaskHistory from '../models/TaskHistory.js';
+import { AppError, fieldError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+import { supportsTransactions, runInTransaction } from '../utils/transaction.js';
+import { successResponse, writeChunk } from '../utils/responseHandler.js';
+import {
+  parsePagination,
+  buildPagination,
+  parseSort,
+  parseBoolean,
+  parseDate,
+  parseDateRange,
+  isCursorMode,
+  decodeCursor,
+  applyCursor,
+  buildCursorPage,
+} from '../utils/queryHelpers.js';
 import logger from '../utils/logger.js';
+import config from '../config/config.js';
+import {
+  normalizeRecurrence,
+  getNextOccurrence,
+  getUpcomingOccurrences,
+} from '../utils/recurrence.js';
+import { getTaskAccess } from '../utils/taskAccess.js';
+import {
+  EXPORT_FIELDS,
+  CONTENT_TYPES,
+  ICS_HEADER,
+  ICS_FOOTER,
+  toExportRecord,
+  toIcsTodo,
+  detectImportFormat,
+  readImportRecords,
+  parseImportValues,
+} from '../utils/taskTransfer.js';
+import { parseStatsRange, computeTaskStats } from '../utils/taskStats.js';
+import { toCsvLine } from '../utils/csv.js';
+
+// Fields clients are allowed to sort task lists by
+const TASK_SORT_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'title',
+  'completed',
+  'dueDate',
+  'priority',
+  'completedAt',
+];
+
+// References populated on task responses
+const TASK_POPULATE = [
+  { path: 'owner', select: 'email' },
+  { path: 'tags', select: 'name color' },
+];
+
+// Sort fields backed by a different database field
+const TASK_SORT_FIELD_MAP = { priority: 'priorityRank' };
+
+// Fields a revert rolls back (trash state is handled by restore instead, and completedAt
+// follows completed)
+const REVERT_FIELDS = [
+  'title',
+  'description',
+  'completed',
+  'owner',
+  'dueDate',
+  'priority',
+  'recurrence',
+  'project',
+  'tags',
+];
+
+// Maximum number of occurrences returned by getTaskOccurrences
+const MAX_OCCURRENCES = 50;
+
+// Operations accepted by POST /api/tasks/bulk
+const BULK_OPERATIONS = ['create', 'update', 'complete', 'delete', 'reassign'];
+const MAX_BULK_OPERATIONS = 200;
+
+/**
+ * User context attached to task writes for audit logging
+ */
+const getAuditUser = (user) => ({
+  id: user._id,
+  name: user.email,
+  role: user.roles[0] || 'user',
+});
+
+/**
+ * Generate the next occurrence of a completed recurring task
+ * Returns the new task, or null when the series has ended or the occurrence was already
+ * generated (e.g. by a concurrent request completing the same task)
+ */
+const createNextOccurrence = async (task, auditUser, { session } = {}) => {
+  const rule = task.recurrence.toObject();
+  const next = getNextOccurrence(rule, task.dueDate);
+
+  if (!next) {
+    return null;
+  }
+
+  // Claim the link first so the occurrence is only generated once
+  const nextId = new mongoose.Types.ObjectId();
+  const claim = await Task.updateOne(
+    { _id: task._id, nextOccurrence: null },
+    { nextOccurrence: nextId },
+    { session }
+  );
+
+  if (claim.modifiedCount === 0) {
+    return null;
+  }
+
+  const nextTask = new Task({
+    _id: nextId,
+    title: task.title,
+    description: task.description,
+    owner: task.owner._id || task.owner,
+    parent: task.parent,
+    project: task.project,
+    tags: task.tags.map((tag) => tag._id || tag),
+    priority: task.priority,
+    dueDate: next.dueDate,
+    recurrence: { ...rule, occurrence: next.occurrence },
+    seriesId: task.seriesId || task._id,
+  });
+  // Attach user context so the new occurrence gets its own create audit entry
+  nextTask.$locals = { auditUser };
+  try {
+    await nextTask.save({ session });
+  } catch (error) {
+    // Release the claim (a transaction rolls it back instead)
+    if (!session) {
+      await Task.updateOne({ _id: task._id, nextOccurrence: nextId }, { nextOccurrence: null });
+    }
+    throw error;
+  }
+
+  return nextTask;
+};
+
+/**
+ * Check the user may add tasks to a project (project editor/owner or project.manage.any)
+ */
+const assertCanAddToProject = async (projectId, user) => {
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    throw new AppError('Project not found', 404, ERROR_CODES.PROJECT_NOT_FOUND);
+  }
+
+  if (!user.hasPermission('project.manage.any') && !project.hasRole(user._id, 'editor')) {
+    throw new AppError(
+      'Not authorized to add tasks to this project',
+      403,
+      ERROR_CODES.PROJECT_FORBIDDEN
+    );
+  }
+};
+
+/**
+ * Validate a list of tag IDs from a request body
+ * Users can only attach their own tags (unless they have tag.manage.any)
+ */
+const parseTagIds = async (tags, user) => {
+  if (!Array.isArray(tags)) {
+    throw fieldError('tags', 'Tags must be an array of tag IDs');
+  }
+
+  const ids = [...new Set(tags.map(String))];
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) {
+    throw fieldError('tags', 'Tags must be an array of tag IDs');
+  }
+
+  const query = { _id: { $in: ids } };
+  if (!user.hasPermission('tag.manage.any')) {
+    query.owner = user._id;
+  }
+
+  const found = await Tag.countDocuments(query);
+  if (found !== ids.length) {
+    throw fieldError('tags', 'One or more tags were not found');
+  }
+
+  return ids;
+};
+
+/**
+ * Resolve tag names or IDs from the tags query param to tag IDs
+ * Names are looked up among the current user's tags
+ */
+const resolveTagFilter = async (value, user) => {
+  const values = String(value)
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+  const ids = values.filter((tag) => mongoose.isValidObjectId(tag));
+  const names = values.filter((tag) => !mongoose.isValidObjectId(tag));
+
+  const byName = names.length
+    ? await Tag.find({ owner: user._id, name: { $in: names } })
+        .collation({ locale: 'en', strength: 2 })
+        .select('_id')
+    : [];
+
+  return {
+    ids: [...ids, ...byName.map((tag) => tag._id.toString())],
+    requested: values.length,
+  };
+};
+
+/**
+ * Subtask completion progress for a parent task (e.g. 3/5 done)
+ */
+const getSubtaskProgress = async (taskId) => {
+  const [total, completed] = await Promise.all([
+    Task.countDocuments({ parent: taskId }),
+    Task.countDocuments({ parent: taskId, completed: true }),
+  ]);
+
+  return {
+    total,
+    completed,
+    percent: total > 0 ? Math.round((completed / total) * 100) : 0,
+  };
+};
+
+/**
+ * Validate and normalize dueDate/priority from a request body
+ * Only fields present in the body are returned
+ */
+const parseTaskFields = (body) => {
+  const fields = {};
+
+  if (body.dueDate !== undefined) {
+    fields.dueDate = body.dueDate === null ? null : parseDate(body.dueDate, 'dueDate');
+  }
+
+  if (body.priority !== undefined) {
+    if (!PRIORITIES.includes(body.priority)) {
+      throw fieldError('priority', `Priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+    fields.priority = body.priority;
+  }
+
+  return fields;
+};
+
+/**
+ * Query matching the tasks a user can see
+ * Regular users see their own tasks and their projects' tasks; users with
+ * task.read.any see all tasks, or one user's when owner is given
+ */
+const buildVisibleTaskQuery = async (user, owner) => {
+  if (!user.hasPermission('task.read.any')) {
+    const projectIds = await Project.findIdsForMember(user._id);
+    return { $or: [{ owner: user._id }, { project: { $in: projectIds } }] };
+  }
+
+  return owner ? { owner } : {};
+};
+
+// Cursor mode only supports ordering by creation time
+const parseCursorSort = (sort) => {
+  if (!sort || sort === '-createdAt') return -1;
+  if (sort === 'createdAt') return 1;
+  throw fieldError('sort', 'Cursor pagination only supports sort=createdAt or sort=-createdAt');
+};
 
 /**
- * @desc    Get all tasks (user's own tasks or all tasks if admin)
+ * @desc    Get all tasks (user's own tasks, or all tasks with task.read.any)
  * @route   GET /api/tasks
+ * @query   completed, createdFrom, createdTo, updatedFrom, updatedTo,
+ *          dueBefore, dueAfter, overdue, priority,
+ *          parent, project, tags, tagMode, search, sort, page, limit, user (task.read.any),
+ *          paginate=cursor, cursor
  * @access  Private
  */
 export const getTasks = async (req, res, next) => {
   try {
-    const query = {};
-    const isAdmin = req.user.roles.includes('admin');
+    // Users with task.read.any see all tasks by default, but can filter by user
+    const query = await buildVisibleTaskQuery(req.user, req.query.user);
 
-    // Regular users only see their own tasks
-    // Admins see all tasks by default, but can filter by user
-    if (!isAdmin) {
-      query.owner = req.user._id;
-    } else if (req.query.user) {
-      // Admin can filter by specific user
-      query.owner = req.query.user;
+    // Filter by project ("none" for tasks outside any project)
+    if (req.query.project) {
+      query.project = req.query.project === 'none' ? null : req.query.project;
+    }
+
+    // Filter by parent task ("none" for top-level tasks only)
+    if (req.query.parent) {
+      query.parent = req.query.parent === 'none' ? null : req.query.parent;
+    }
+
+    // Filter by completion status
+    const completed = parseBoolean(req.query.completed, 'completed');
+    if (completed !== undefined) {
+      query.completed = completed;
+    }
+
+    // Filter by created/updated date ranges
+    const createdAt = parseDateRange(req.query, 'createdFrom', 'createdTo');
+    if (createdAt) {
+      query.createdAt = createdAt;
     }
 
-    const tasks = await Task.find(query).populate('owner', 'email').sort('-createdAt');
+    const updatedAt = parseDateRange(req.query, 'updatedFrom', 'updatedTo');
+    if (updatedAt) {
+      query.updatedAt = updatedAt;
+    }
+
+    // Filter by due date range
+    const dueDate = parseDateRange(req.query, 'dueAfter', 'dueBefore');
+    if (dueDate) {
+      query.dueDate = dueDate;
+    }
+
+    // Filter by priority (comma separated list)
+    if (req.query.priority) {
+      const priorities = String(req.query.priority).split(',');
+      const invalid = priorities.filter((priority) => !PRIORITIES.includes(priority));
+      if (invalid.length > 0) {
+        throw fieldError('priority', `Invalid priority: ${invalid.join(', ')}`);
+      }
+      query.priority = { $in: priorities };
+    }
+
+    // Overdue: past due date and not completed
+    const overdue = parseBoolean(req.query.overdue, 'overdue');
+    if (overdue !== undefined) {
+      const now = new Date();
+      const condition = overdue
+        ? { completed: false, dueDate: { $ne: null, $lt: now } }
+        : { $or: [{ completed: true }, { dueDate: null }, { dueDate: { $gte: now } }] };
+      query.$and = [...(query.$and || []), condition];
+    }
 
-    return successResponse(res, 200, 'Tasks retrieved successfully', { tasks });
+    // Filter by tags (names or IDs), matching any or all of them
+    if (req.query.tags) {
+      const tagMode = req.query.tagMode || 'any';
+      if (!['any', 'all'].includes(tagMode)) {
+        throw fieldError('tagMode', 'tagMode must be any or all');
+      }
+
+      const { ids, requested } = await resolveTagFilter(req.query.tags, req.user);
+      if (tagMode === 'all' && ids.length < requested) {
+        // An unknown tag can never be matched
+        query._id = { $in: [] };
+      } else {
+        query.tags = tagMode === 'all' ? { $all: ids } : { $in: ids };
+      }
+    }
+
+    // Full-text search over title and description
+    const search = req.query.search?.trim();
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    // Cursor pagination orders by createdAt/_id only
+    if (isCursorMode(req.query)) {
+      const direction = parseCursorSort(req.query.sort);
+      const { limit } = parsePagination(req.query);
+      const cursor = decodeCursor(req.query.cursor);
+      applyCursor(query, cursor, 'createdAt', direction);
+
+      const results = await Task.find(query)
+        .populate(TASK_POPULATE)
+        .sort({ createdAt: direction, _id: direction })
+        .limit(limit + 1);
+
+      const { items: tasks, pagination } = buildCursorPage(results, limit, 'createdAt');
+
+      return successResponse(res, 200, 'Tasks retrieved successfully', { tasks, pagination });
+    }
+
+    // Sorting (text searches default to relevance)
+    const defaultSort = search
+      ? { score: { $meta: 'textScore' }, createdAt: -1 }
+      : { createdAt: -1 };
+    const sort = parseSort(req.query.sort, TASK_SORT_FIELDS, defaultSort, TASK_SORT_FIELD_MAP);
+
+    // Page/limit pagination
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const projection = search ? { score: { $meta: 'textScore' } } : {};
+
+    const [total, tasks] = await Promise.all([
+      Task.countDocuments(query),
+      Task.find(query, projection).populate(TASK_POPULATE).sort(sort).skip(skip).limit(limit),
+    ]);
+
+    return successResponse(res, 200, 'Tasks retrieved successfully', {
+      tasks,
+      pagination: buildPagination(page, limit, total),
+    });
   } catch (error) {
     next(error);
   }
@@ -33,30 +408,256 @@ export const getTasks = async (req, res, next) => {
 /**
  * @desc    Get single task by ID
  * @route   GET /api/tasks/:id
- * @access  Private (owner/admin)
+ * @access  Private (owner/project member/task.read.any)
  */
 export const getTask = async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id).populate('owner', 'email');
+    const task = await Task.findById(req.params.id).populate(TASK_POPULATE);
 
     if (!task) {
-      throw new AppError('Task not found', 404);
+      throw new AppError('Task not found', 404, ERROR_CODES.TASK_NOT_FOUND);
     }
 
-    // Check if user is owner or admin
-    const isAdmin = req.user.roles.includes('admin');
-    const isOwner = task.owner._id.toString() === req.user._id.toString();
+    // Check owner, project membership or task.read.any
+    const access = await getTaskAccess(task, req.user);
 
-    if (!isOwner && !isAdmin) {
-      throw new AppError('Not authorized to access this task', 403);
+    if (!access) {
+      throw new AppError('Not authorized to access this task', 403, ERROR_CODES.TASK_FORBIDDEN);
     }
 
-    return successResponse(res, 200, 'Task retrieved successfully', { task });
+    const progress = await getSubtaskProgress(task._id);
+
+    return successResponse(res, 200, 'Task retrieved successfully', { task, progress });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Create a task on behalf of a user
+ * Shared by createTask and bulk operations
+ */
+const createTaskForUser = async (user, body, { session } = {}) => {
+  const { title, description, owner, project } = body;
+  const canReassign = user.hasPermission('task.reassign');
+
+  // Validation
+  if (!title) {
+    throw fieldError('title', 'Task title is required');
+  }
+
+  // Determine task owner
+  let taskOwner = user._id; // Default to current user
+
+  // Assigning tasks to other users needs task.reassign
+  if (owner && canReassign) {
+    taskOwner = owner;
+  } else if (owner && !canReassign) {
+    throw new AppError(
+      'Not authorized to assign tasks to other users',
+      403,
+      ERROR_CODES.PERMISSION_DENIED
+    );
+  }
+
+  // Tasks can only be added to projects the user can edit
+  if (project) {
+    await assertCanAddToProject(project, user);
+  }
+
+  // Create task with user context for audit logging
+  const taskData = {
+    title,
+    description: description || '',
+    owner: taskOwner,
+    project: project || null,
+    ...parseTaskFields(body),
+  };
+
+  if (body.tags !== undefined) {
+    taskData.tags = await parseTagIds(body.tags, user);
+  }
+
+  if (body.recurrence) {
+    taskData.recurrence = normalizeRecurrence(body.recurrence, taskData.dueDate);
+  }
+
+  const taskDoc = new Task(taskData);
+  // The first occurrence of a recurring task starts the series
+  if (taskData.recurrence) {
+    taskDoc.seriesId = taskDoc._id;
+  }
+  // Attach user context to document locals for audit logging
+  taskDoc.$locals = {
+    auditUser: getAuditUser(user),
+  };
+
+  const createdTask = await taskDoc.save({ session });
+
+  logger.info({
+    message: 'Task created',
+    taskId: createdTask._id,
+    userId: user._id,
+    title: createdTask.title,
+  });
+
+  return createdTask;
+};
+
+/**
+ * Update a task on behalf of a user
+ * completedAt overrides the completion time recorded when completing the task, and audit
+ * ({ auditChangeType, auditExtra }) is passed to the task's audit entry
+ * Returns the updated task and the next occurrence generated for recurring tasks
+ * Shared by updateTask, revertTask and bulk operations
+ */
+const updateTaskForUser = async (user, taskId, body, { session, completedAt, audit } = {}) => {
+  let task = await Task.findById(taskId, null, { session });
+
+  if (!task) {
+    throw new AppError('Task not found', 404, ERROR_CODES.TASK_NOT_FOUND);
+  }
+
+  // Check authorization (owner, project editor or task.update.any)
+  const canReassign = user.hasPermission('task.reassign');
+  const access = await getTaskAccess(task, user);
+
+  if (access !== 'write') {
+    throw new AppError('Not authorized to update this task', 403, ERROR_CODES.TASK_FORBIDDEN);
+  }
+
+  // Changing the owner needs task.reassign
+  if (body.owner && !canReassign) {
+    throw new AppError('Not authorized to reassign tasks', 403, ERROR_CODES.PERMISSION_DENIED);
+  }
+
+  // Subtasks are reassigned and moved together with their parent
+  if (body.owner && task.parent) {
+    throw fieldError('owner', 'Reassign the parent task to change a subtask owner');
+  }
+
+  if (body.project !== undefined && task.parent) {
+    throw fieldError('project', 'Move the parent task to change a subtask project');
+  }
+
+  if (body.owner && !(await User.exists({ _id: body.owner }).session(session))) {
+    throw new AppError('Owner not found', 404, ERROR_CODES.USER_NOT_FOUND);
+  }
+
+  // Moving into a project requires edit rights on it
+  if (body.project) {
+    await assertCanAddToProject(body.project, user);
+  }
+
+  // Update task
+  const updateData = {};
+  if (body.title !== undefined) updateData.title = body.title;
+  if (body.description !== undefined) updateData.description = body.description;
+  if (body.completed !== undefined) updateData.completed = body.completed;
+  if (body.owner !== undefined && canReassign) updateData.owner = body.owner;
+  if (body.project !== undefined) updateData.project = body.project || null;
+  if (body.tags !== undefined) updateData.tags = await parseTagIds(body.tags, user);
+  Object.assign(updateData, parseTaskFields(body));
+
+  // Track when the task was completed
+  if (updateData.completed !== undefined && updateData.completed !== task.completed) {
+    updateData.completedAt = updateData.completed ? completedAt || new Date() : null;
+  }
+
+  // Set, replace or remove the recurrence rule
+  if (body.recurrence === null) {
+    updateData.recurrence = null;
+  } else if (body.recurrence !== undefined) {
+    const dueDate = updateData.dueDate !== undefined ? updateData.dueDate : task.dueDate;
+    updateData.recurrence = normalizeRecurrence(
+      { ...body.recurrence, occurrence: task.recurrence?.occurrence },
+      dueDate
+    );
+    updateData.seriesId = task.seriesId || task._id;
+  } else if (updateData.dueDate === null && task.recurrence) {
+    throw fieldError('dueDate', 'Recurring tasks require a dueDate');
+  }
+
+  // Attach user context for audit logging via mongoose options
+  const options = {
+    new: true,
+    runValidators: true,
+    auditUser: getAuditUser(user),
+    session,
+  };
+
+  task = await Task.findByIdAndUpdate(taskId, updateData, { ...options, ...audit });
+
+  logger.info({
+    message: 'Task updated',
+    taskId: task._id,
+    userId: user._id,
+    changes: updateData,
+  });
+
+  // Subtasks follow their parent when it is reassigned or moved
+  const subtaskUpdate = {};
+  if (updateData.owner !== undefined) subtaskUpdate.owner = updateData.owner;
+  if (updateData.project !== undefined) subtaskUpdate.project = updateData.project;
+
+  if (Object.keys(subtaskUpdate).length > 0) {
+    const subtasks = await Task.find({ parent: task._id }, '_id', { session });
+    for (const subtask of subtasks) {
+      await Task.findByIdAndUpdate(subtask._id, subtaskUpdate, options);
+    }
+  }
+
+  // Completing a recurring task generates its next occurrence
+  let nextOccurrence = null;
+  if (updateData.completed === true && task.recurrence && !task.nextOccurrence) {
+    nextOccurrence = await createNextOccurrence(task, options.auditUser, { session });
+
+    if (nextOccurrence) {
+      task.nextOccurrence = nextOccurrence._id;
+
+      logger.info({
+        message: 'Recurring task occurrence created',
+        taskId: nextOccurrence._id,
+        previousTaskId: task._id,
+        userId: user._id,
+      });
+    }
+  }
+
+  return { task, nextOccurrence };
+};
+
+/**
+ * Move a task (and its subtasks) to the trash on behalf of a user
+ * Shared by deleteTask and bulk operations
+ */
+const trashTaskForUser = async (user, taskId, { session } = {}) => {
+  const task = await Task.findById(taskId, null, { session });
+
+  if (!task) {
+    throw new AppError('Task not found', 404, ERROR_CODES.TASK_NOT_FOUND);
+  }
+
+  // Check authorization (owner, project editor or task.update.any)
+  const access = await getTaskAccess(task, user);
+
+  if (access !== 'write') {
+    throw new AppError('Not authorized to delete this task', 403, ERROR_CODES.TASK_FORBIDDEN);
+  }
+
+  // Move task (and its subtasks) to the trash with user context for audit logging
+  const deletedSubtasks = await Task.softDelete(task._id, getAuditUser(user), { session });
+
+  logger.info({
+    message: 'Task moved to trash',
+    taskId: task._id,
+    userId: user._id,
+    deletedSubtasks,
+  });
+
+  return task;
+};
+
 /**
  * @desc    Create new task
  * @route   POST /api/tasks
@@ -64,158 +665,919 @@ export const getTask = async (req, res, next) => {
  */
 export const createTask = async (req, res, next) => {
   try {
-    const { title, description, owner } = req.body;
-    const isAdmin = req.user.roles.includes('admin');
+    const task = await createTaskForUser(req.user, req.body);
 
-    // Validation
-    if (!title) {
-      throw new AppError('Task title is required', 400);
+    await task.populate(TASK_POPULATE);
+
+    return successResponse(res, 201, 'Task created successfully', { task });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update task
+ * @route   PUT /api/tasks/:id
+ * @access  Private (owner/project editor/task.update.any)
+ */
+export const updateTask = async (req, res, next) => {
+  try {
+    const { task, nextOccurrence } = await updateTaskForUser(req.user, req.params.id, req.body);
+
+    await task.populate(TASK_POPULATE);
+    if (nextOccurrence) {
+      await nextOccurrence.populate(TASK_POPULATE);
+    }
+
+    return successResponse(res, 200, 'Task updated successfully', { task, nextOccurrence });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete task (moves it to the trash)
+ * @route   DELETE /api/tasks/:id
+ * @access  Private (owner/project editor/task.update.any)
+ */
+export const deleteTask = async (req, res, next) => {
+  try {
+    await trashTaskForUser(req.user, req.params.id);
+
+    return successResponse(res, 200, 'Task moved to trash');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List upcoming occurrences of a recurring task (not persisted)
+ * @route   GET /api/tasks/:id/occurrences
+ * @query   limit (default 10, max 50)
+ * @access  Private (owner/project member/task.read.any)
+ */
+export const getTaskOccurrences = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      throw new AppError('Task not found', 404, ERROR_CODES.TASK_NOT_FOUND);
+    }
+
+    // Check owner, project membership or task.read.any
+    const access = await getTaskAccess(task, req.user);
+
+    if (!access) {
+      throw new AppError('Not authorized to access this task', 403, ERROR_CODES.TASK_FORBIDDEN);
+    }
+
+    if (!task.recurrence) {
+      throw new AppError('Task is not recurring', 400, ERROR_CODES.TASK_NOT_RECURRING);
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_OCCURRENCES);
+    const occurrences = getUpcomingOccurrences(task.recurrence.toObject(), task.dueDate, limit);
+
+    return successResponse(res, 200, 'Task occurrences retrieved successfully', {
+      recurrence: task.recurrence,
+      occurrences,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get subtasks of a task
+ * @route   GET /api/tasks/:id/subtasks
+ * @access  Private (owner/project member/task.read.any)
+ */
+export const getSubtasks = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      throw new AppError('Task not found', 404, ERROR_CODES.TASK_NOT_FOUND);
+    }
+
+    // Check owner, project membership or task.read.any
+    const access = await getTaskAccess(task, req.user);
+
+    if (!access) {
+      throw new AppError('Not authorized to access this task', 403, ERROR_CODES.TASK_FORBIDDEN);
+    }
+
+    const subtasks = await Task.find({ parent: task._id })
+      .populate(TASK_POPULATE)
+      .sort({ createdAt: 1 });
+    const progress = await getSubtaskProgress(task._id);
+
+    return successResponse(res, 200, 'Subtasks retrieved successfully', { subtasks, progress });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create subtask under a task
+ * @route   POST /api/tasks/:id/subtasks
+ * @access  Private (owner/project editor/task.update.any)
+ */
+export const createSubtask = async (req, res, next) => {
+  try {
+    const parent = await Task.findById(req.params.id);
+
+    if (!parent) {
+      throw new AppError('Task not found', 404, ERROR_CODES.TASK_NOT_FOUND);
+    }
+
+    // Check authorization (owner, project editor or task.update.any)
+    const access = await getTaskAccess(parent, req.user);
+
+    if (access !== 'write') {
+      throw new AppError('Not authorized to update this task', 403, ERROR_CODES.TASK_FORBIDDEN);
+    }
+
+    // Only one level of nesting is supported
+    if (parent.parent) {
+      throw new AppError(
+        'Subtasks cannot have their own subtasks',
+        400,
+        ERROR_CODES.SUBTASK_NOT_ALLOWED
+      );
     }
 
-    // Determine task owner
-    let taskOwner = req.user._id; // Default to current user
+    const { title, description } = req.body;
 
-    // Only admins can assign tasks to other users
-    if (owner && isAdmin) {
-      taskOwner = owner;
-    } else if (owner && !isAdmin) {
-      throw new AppError('Only admins can assign tasks to other users', 403);
+    // Validation
+    if (!title) {
+      throw fieldError('title', 'Task title is required');
     }
 
-    // Create task with user context for audit logging
-    const taskData = {
+    // Subtasks always belong to the parent's owner
+    const taskDoc = new Task({
       title,
       description: description || '',
-      owner: taskOwner,
-    };
-    
-    const taskDoc = new Task(taskData);
+      owner: parent.owner,
+      parent: parent._id,
+      project: parent.project,
+      tags: req.body.tags !== undefined ? await parseTagIds(req.body.tags, req.user) : [],
+      ...parseTaskFields(req.body),
+    });
     // Attach user context to document locals for audit logging
     taskDoc.$locals = {
-      auditUser: {
-        id: req.user._id,
-        name: req.user.email,
-        role: req.user.roles[0] || 'user',
-      },
+      auditUser: getAuditUser(req.user),
     };
-    
-    const createdTask = await taskDoc.save();
 
-    await createdTask.populate('owner', 'email');
+    const subtask = await taskDoc.save();
+
+    await subtask.populate(TASK_POPULATE);
 
     logger.info({
-      message: 'Task created',
-      taskId: createdTask._id,
+      message: 'Subtask created',
+      taskId: subtask._id,
+      parentId: parent._id,
       userId: req.user._id,
-      title: createdTask.title,
     });
 
-    return successResponse(res, 201, 'Task created successfully', { task: createdTask });
+    return successResponse(res, 201, 'Subtask created successfully', { task: subtask });
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * @desc    Update task
- * @route   PUT /api/tasks/:id
- * @access  Private (owner/admin)
+ * Find a trashed task by ID and check the user can modify it
  */
-export const updateTask = async (req, res, next) => {
+const findTrashedTask = async (req) => {
+  const task = await Task.findById(req.params.id).setOptions({ withDeleted: true });
+
+  if (!task) {
+    throw new AppError('Task not found', 404, ERROR_CODES.TASK_NOT_FOUND);
+  }
+
+  if (!task.deletedAt) {
+    throw new AppError('Task is not in the trash', 400, ERROR_CODES.TASK_NOT_IN_TRASH);
+  }
+
+  // Check authorization (owner, project editor or task.update.any)
+  const access = await getTaskAccess(task, req.user);
+
+  if (access !== 'write') {
+    throw new AppError('Not authorized to modify this task', 403, ERROR_CODES.TASK_FORBIDDEN);
+  }
+
+  return task;
+};
+
+/**
+ * @desc    Get trashed tasks
+ * @route   GET /api/tasks/trash
+ * @query   page, limit, user (task.read.any)
+ * @access  Private
+ */
+export const getTrash = async (req, res, next) => {
   try {
-    let task = await Task.findById(req.params.id);
+    const query = { deletedAt: { $ne: null } };
+    const canReadAll = req.user.hasPermission('task.read.any');
 
-    if (!task) {
-      throw new AppError('Task not found', 404);
+    // Regular users see the trashed tasks they can restore: their own and those of
+    // projects they edit
+    if (!canReadAll) {
+      const projectIds = await Project.findIdsForMember(req.user._id, 'editor');
+      query.$or = [{ owner: req.user._id }, { project: { $in: projectIds } }];
+    } else if (req.query.user) {
+      query.owner = req.query.user;
     }
 
-    // Check authorization
-    const isAdmin = req.user.roles.includes('admin');
-    const isOwner = task.owner.toString() === req.user._id.toString();
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [total, tasks] = await Promise.all([
+      Task.countDocuments(query),
+      Task.find(query)
+        .populate(TASK_POPULATE)
+        .populate('deletedBy', 'email')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+    ]);
 
-    if (!isOwner && !isAdmin) {
-      throw new AppError('Not authorized to update this task', 403);
+    return successResponse(res, 200, 'Trashed tasks retrieved successfully', {
+      tasks,
+      pagination: buildPagination(page, limit, total),
+      retentionDays: config.trashRetentionDays,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore task from the trash
+ * @route   POST /api/tasks/:id/restore
+ * @access  Private (owner/project editor/task.update.any)
+ */
+export const restoreTask = async (req, res, next) => {
+  try {
+    const task = await findTrashedTask(req);
+
+    // A subtask can only come back once its parent is back
+    if (task.parent) {
+      const parentActive = await Task.exists({ _id: task.parent });
+      if (!parentActive) {
+        throw new AppError('Restore the parent task first', 400, ERROR_CODES.CONFLICT);
+      }
     }
 
-    // Check if admin is trying to change owner
-    if (req.body.owner && !isAdmin) {
-      throw new AppError('Only admins can reassign tasks', 403);
+    // The owner may have been deleted in the meantime
+    const ownerExists = await User.exists({ _id: task.owner });
+    if (!ownerExists) {
+      throw new AppError('Task owner no longer exists', 409, ERROR_CODES.TASK_OWNER_MISSING);
     }
 
-    // Update task
-    const updateData = {};
-    if (req.body.title !== undefined) updateData.title = req.body.title;
-    if (req.body.description !== undefined) updateData.description = req.body.description;
-    if (req.body.completed !== undefined) updateData.completed = req.body.completed;
-    if (req.body.owner !== undefined && isAdmin) updateData.owner = req.body.owner;
+    const restored = await Task.restoreFromTrash(task, getAuditUser(req.user));
+    await restored.populate(TASK_POPULATE);
 
-    // Attach user context for audit logging via mongoose options
-    const options = {
-      new: true,
-      runValidators: true,
-      auditUser: {
-        id: req.user._id,
-        name: req.user.email,
-        role: req.user.roles[0] || 'user',
-      },
-    };
+    logger.info({
+      message: 'Task restored',
+      taskId: task._id,
+      userId: req.user._id,
+    });
 
-    task = await Task.findByIdAndUpdate(req.params.id, updateData, options).populate('owner', 'email');
+    return successResponse(res, 200, 'Task restored successfully', { task: restored });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Permanently delete a trashed task
+ * @route   DELETE /api/tasks/:id/purge
+ * @access  Private (owner/project editor/task.update.any)
+ */
+export const purgeTask = async (req, res, next) => {
+  try {
+    const task = await findTrashedTask(req);
+
+    await Task.purge(task._id, getAuditUser(req.user));
 
     logger.info({
-      message: 'Task updated',
+      message: 'Task purged',
       taskId: task._id,
       userId: req.user._id,
-      changes: updateData,
     });
 
-    return successResponse(res, 200, 'Task updated successfully', { task });
+    return successResponse(res, 200, 'Task permanently deleted');
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * @desc    Delete task
- * @route   DELETE /api/tasks/:id
- * @access  Private (owner/admin)
+ * @desc    Revert task to its state as of a history entry
+ * @route   POST /api/tasks/:id/revert
+ * @access  Private (owner/project editor/task.update.any)
  */
-export const deleteTask = async (req, res, next) => {
+export const revertTask = async (req, res, next) => {
   try {
+    const { historyId } = req.body;
+
+    if (!historyId || !mongoose.isValidObjectId(historyId)) {
+      throw fieldError('historyId', 'A valid historyId is required');
+    }
+
     const task = await Task.findById(req.params.id);
 
     if (!task) {
-      throw new AppError('Task not found', 404);
+      throw new AppError('Task not found', 404, ERROR_CODES.TASK_NOT_FOUND);
     }
 
-    // Check authorization
-    const isAdmin = req.user.roles.includes('admin');
-    const isOwner = task.owner.toString() === req.user._id.toString();
+    // Check authorization (owner, project editor or task.update.any) before reading history
+    const access = await getTaskAccess(task, req.user);
 
-    if (!isOwner && !isAdmin) {
-      throw new AppError('Not authorized to delete this task', 403);
+    if (access !== 'write') {
+      throw new AppError('Not authorized to update this task', 403, ERROR_CODES.TASK_FORBIDDEN);
     }
 
-    // Delete task with user context for audit logging
-    const options = {
-      auditUser: {
-        id: req.user._id,
-        name: req.user.email,
-        role: req.user.roles[0] || 'user',
-      },
-    };
+    const entry = await TaskHistory.findOne({ _id: historyId, model_id: task._id });
+
+    if (!entry) {
+      throw new AppError(
+        'History entry not found for this task',
+        404,
+        ERROR_CODES.TASK_HISTORY_NOT_FOUND
+      );
+    }
+
+    const { state } = await TaskHistory.reconstructState(task._id, { upToEntry: entry });
 
-    await Task.findByIdAndDelete(req.params.id, options);
+    // Subtasks follow their parent's owner and project, so those stay as they are
+    const fields = task.parent
+      ? REVERT_FIELDS.filter((field) => field !== 'owner' && field !== 'project')
+      : REVERT_FIELDS;
+
+    // Only roll back fields that differ from the current task
+    const changes = {};
+    fields.forEach((field) => {
+      if (!(field in state)) return;
+      if (JSON.stringify(state[field] ?? null) !== JSON.stringify(task[field] ?? null)) {
+        changes[field] = state[field];
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      throw new AppError(
+        'Task already matches that history entry',
+        400,
+        ERROR_CODES.TASK_REVERT_NO_CHANGES
+      );
+    }
+
+    // Apply the changes like an update (permissions, project and tag checks, cascading to
+    // subtasks), recorded as a revert
+    const { task: reverted, nextOccurrence } = await updateTaskForUser(
+      req.user,
+      task._id,
+      changes,
+      {
+        completedAt: state.completedAt,
+        audit: { auditChangeType: 'revert', auditExtra: { reverted_to: entry._id } },
+      }
+    );
+
+    await reverted.populate(TASK_POPULATE);
+    if (nextOccurrence) {
+      await nextOccurrence.populate(TASK_POPULATE);
+    }
 
     logger.info({
-      message: 'Task deleted',
+      message: 'Task reverted',
       taskId: task._id,
+      historyId: entry._id,
       userId: req.user._id,
+      fields: Object.keys(changes),
     });
 
-    return successResponse(res, 200, 'Task deleted successfully');
+    return successResponse(res, 200, 'Task reverted successfully', {
+      task: reverted,
+      nextOccurrence,
+      revertedFields: Object.keys(changes),
+    });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Run a single bulk operation, returns the affected task
+ */
+const runBulkOperation = async (user, operation, session) => {
+  const { op, id, data = {} } = operation;
+
+  if (op !== 'create' && !id) {
+    throw fieldError('id', `Task id is required for ${op}`);
+  }
+
+  switch (op) {
+    case 'create':
+      return createTaskForUser(user, data, { session });
+
+    case 'update':
+      return (await updateTaskForUser(user, id, data, { session })).task;
+
+    case 'complete':
+      return (await updateTaskForUser(user, id, { completed: true }, { session })).task;
+
+    case 'reassign': {
+      if (!operation.owner) {
+        throw fieldError('owner', 'Owner is required for reassign');
+      }
+      return (await updateTaskForUser(user, id, { owner: operation.owner }, { session })).task;
+    }
+
+    case 'delete':
+      return trashTaskForUser(user, id, { session });
+
+    default:
+      throw fieldError('op', `Operation must be one of: ${BULK_OPERATIONS.join(', ')}`);
+  }
+};
+
+/**
+ * Convert an error from a bulk operation into a per-item failure
+ * Unexpected errors are logged and reported as server errors
+ */
+const toBulkFailure = (error) => {
+  if (error instanceof AppError) {
+    return { statusCode: error.statusCode, code: error.code, error: error.message };
+  }
+  if (error.name === 'CastError') {
+    return {
+      statusCode: 400,
+      code: ERROR_CODES.INVALID_ID,
+      error: `Invalid ${error.path}: ${error.value}`,
+    };
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map((err) => err.message);
+    return { statusCode: 422, code: ERROR_CODES.VALIDATION_FAILED, error: messages.join(', ') };
+  }
+  if (error.code === 11000) {
+    return { statusCode: 409, code: ERROR_CODES.DUPLICATE_VALUE, error: 'Duplicate value' };
+  }
+
+  logger.error({
+    message: 'Bulk operation failed',
+    error: error.message,
+    stack: error.stack,
+  });
+
+  return { statusCode: 500, code: ERROR_CODES.INTERNAL_ERROR, error: 'Operation failed' };
+};
+
+// Transient errors (write conflicts, failovers) retry the whole transaction
+const isTransientError = (error) => Boolean(error.hasErrorLabel?.('TransientTransactionError'));
+
+/**
+ * Result entry for a bulk operation that failed
+ */
+const bulkFailure = (index, operation, error) => ({
+  index,
+  op: operation.op,
+  id: operation.id || null,
+  success: false,
+  ...toBulkFailure(error),
+});
+
+/**
+ * @desc    Run several task operations in one request
+ * @route   POST /api/tasks/bulk
+ * @access  Private
+ * @body    operations: [{ op, id, data, owner }], atomic: roll back everything if any item fails
+ */
+export const bulkTasks = async (req, res, next) => {
+  try {
+    const { operations, atomic = false } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw fieldError('operations', 'Operations must be a non-empty array');
+    }
+
+    if (operations.length > MAX_BULK_OPERATIONS) {
+      throw fieldError(
+        'operations',
+        `At most ${MAX_BULK_OPERATIONS} operations are allowed per request`
+      );
+    }
+
+    const invalid = operations.findIndex(
+      (operation) => !operation || !BULK_OPERATIONS.includes(operation.op)
+    );
+    if (invalid !== -1) {
+      throw fieldError(
+        `operations[${invalid}].op`,
+        `Operation ${invalid} must have an op of: ${BULK_OPERATIONS.join(', ')}`
+      );
+    }
+
+    const transactional = await supportsTransactions();
+    if (atomic && !transactional) {
+      throw new AppError(
+        'Atomic bulk operations require a MongoDB replica set',
+        400,
+        ERROR_CODES.TRANSACTIONS_UNSUPPORTED
+      );
+    }
+
+    let results = [];
+    let rolledBack = false;
+
+    if (atomic) {
+      try {
+        await runInTransaction(async (session) => {
+          // The callback may be retried, so results are rebuilt on every attempt
+          results = [];
+
+          for (const [index, operation] of operations.entries()) {
+            try {
+              const task = await runBulkOperation(req.user, operation, session);
+              results.push({ index, op: operation.op, id: task._id, success: true });
+            } catch (error) {
+              if (isTransientError(error)) throw error;
+              results.push(bulkFailure(index, operation, error));
+            }
+          }
+
+          // Abort the transaction so none of the operations are applied
+          if (results.some((result) => !result.success)) {
+            rolledBack = true;
+            throw new AppError('Bulk operation rolled back', 409, ERROR_CODES.BULK_ROLLED_BACK);
+          }
+        });
+      } catch (error) {
+        if (!rolledBack) throw error;
+      }
+    } else {
+      // Each operation gets its own transaction, so a failed one leaves no partial writes
+      // and can't abort the others
+      for (const [index, operation] of operations.entries()) {
+        try {
+          const task = await runInTransaction((session) =>
+            runBulkOperation(req.user, operation, session)
+          );
+          results.push({ index, op: operation.op, id: task._id, success: true });
+        } catch (error) {
+          results.push(bulkFailure(index, operation, error));
+        }
+      }
+    }
+
+    const succeeded = rolledBack ? 0 : results.filter((result) => result.success).length;
+
+    logger.info({
+      message: 'Bulk task operations',
+      userId: req.user._id,
+      total: operations.length,
+      succeeded,
+      atomic,
+      rolledBack,
+    });
+
+    return successResponse(res, rolledBack ? 409 : 200, 'Bulk operations processed', {
+      results,
+      summary: {
+        total: operations.length,
+        succeeded,
+        failed: operations.length - succeeded,
+        transactional,
+        rolledBack,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get statistics for your tasks
+ * @route   GET /api/tasks/stats
+ * @query   bucket (day, week, month), from, to
+ * @access  Private
+ */
+export const getTaskStats = async (req, res, next) => {
+  try {
+    const range = parseStatsRange(req.query);
+    const stats = await computeTaskStats({ owner: req.user._id, ...range });
+
+    return successResponse(res, 200, 'Task statistics retrieved successfully', { stats });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export tasks as CSV, JSON or iCalendar (streamed)
+ * @route   GET /api/tasks/export
+ * @query   format (csv, json, ics), completed, project, user (task.read.any)
+ * @access  Private
+ */
+export const exportTasks = async (req, res, next) => {
+  try {
+    const { format } = req.query;
+    const query = await buildVisibleTaskQuery(req.user, req.query.user);
+
+    if (req.query.project) {
+      query.project = req.query.project === 'none' ? null : req.query.project;
+    }
+
+    const completed = parseBoolean(req.query.completed, 'completed');
+    if (completed !== undefined) {
+      query.completed = completed;
+    }
+
+    const cursor = Task.find(query)
+      .populate([...TASK_POPULATE, { path: 'project', select: 'name' }])
+      .sort({ createdAt: 1, _id: 1 })
+      .cursor();
+
+    res.attachment(`tasks-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.type(CONTENT_TYPES[format]);
+
+    const now = new Date();
+    const prefix = {
+      csv: toCsvLine(EXPORT_FIELDS),
+      json: '[',
+      ics: ICS_HEADER,
+    }[format];
+    const suffix = { csv: '', json: '\n]\n', ics: ICS_FOOTER }[format];
+
+    let count = 0;
+    let connected = await writeChunk(res, prefix);
+
+    for await (const task of cursor) {
+      if (!connected) break;
+
+      let chunk;
+      if (format === 'ics') {
+        chunk = toIcsTodo(task, now);
+      } else if (format === 'json') {
+        chunk = `${count > 0 ? ',' : ''}\n${JSON.stringify(toExportRecord(task))}`;
+      } else {
+        const record = toExportRecord(task);
+        chunk = toCsvLine(EXPORT_FIELDS.map((field) => record[field]));
+      }
+
+      connected = await writeChunk(res, chunk);
+      count += 1;
+    }
+
+    if (!connected) {
+      await cursor.close();
+      return;
+    }
+    res.end(suffix);
+
+    logger.info({
+      message: 'Tasks exported',
+      userId: req.user._id,
+      format,
+      count,
+    });
+  } catch (error) {
+    // Once streaming has started the status can't change, so drop the connection
+    if (res.headersSent) {
+      logger.error({
+        message: 'Task export failed',
+        userId: req.user._id,
+        error: error.message,
+      });
+      res.destroy(error);
+      return;
+    }
+    res.removeHeader('Content-Disposition');
+    next(error);
+  }
+};
+
+/**
+ * Find the user's tags by name (case-insensitive)
+ * Returns a map of lowercased name to tag ID
+ */
+const findTagsByName = async (names, user) => {
+  if (names.length === 0) {
+    return new Map();
+  }
+
+  const tags = await Tag.find({ owner: user._id, name: { $in: names } }).collation({
+    locale: 'en',
+    strength: 2,
+  });
+  return new Map(tags.map((tag) => [tag.name.toLowerCase(), tag._id]));
+};
+
+// Tasks with the same owner, title (case-insensitive) and due date are duplicates
+const duplicateKey = (owner, title, dueDate) =>
+  `${owner}|${title.toLowerCase()}|${dueDate ? dueDate.toISOString() : ''}`;
+
+/**
+ * @desc    Import tasks from a CSV or JSON file (multipart/form-data, field "file")
+ * @route   POST /api/tasks/import
+ * @access  Private
+ * @body    format (csv, json), mapping (JSON object of task field to column), project,
+ *          dryRun: validate only, duplicates: skip (default) or import
+ */
+export const importTasks = async (req, res, next) => {
+  try {
+    const dryRun = req.body.dryRun === 'true';
+    const skipDuplicates = req.body.duplicates !== 'import';
+    const { project } = req.body;
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch {
+        throw fieldError('mapping', 'Mapping must be a JSON object');
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw fieldError('mapping', 'Mapping must be a JSON object');
+      }
+    }
+
+    const format = detectImportFormat(req.body.format, req.file);
+    const records = readImportRecords(req.file.buffer, format, mapping);
+
+    if (records.length === 0) {
+      throw fieldError('file', 'The file contains no tasks');
+    }
+    if (records.length > config.imports.maxRows) {
+      throw fieldError('file', `At most ${config.imports.maxRows} tasks can be imported at once`);
+    }
+
+    if (project) {
+      await assertCanAddToProject(project, req.user);
+    }
+
+    const items = records.map(({ row, values }) => ({
+      row,
+      ...parseImportValues(values, PRIORITIES),
+    }));
+
+    // Resolve owners (assigning tasks to other users needs task.reassign)
+    const emails = [...new Set(items.map((item) => item.fields.ownerEmail).filter(Boolean))];
+    const owners = emails.length
+      ? await User.find({ email: { $in: emails } }).select('_id email')
+      : [];
+    const ownerIds = new Map(owners.map((owner) => [owner.email, owner._id]));
+    const canReassign = req.user.hasPermission('task.reassign');
+
+    for (const item of items) {
+      const { ownerEmail } = item.fields;
+      if (!ownerEmail || ownerEmail === req.user.email) {
+        item.owner = req.user._id;
+      } else if (!ownerIds.has(ownerEmail)) {
+        item.errors.push({ field: 'owner', message: `No user with email ${ownerEmail}` });
+      } else if (!canReassign) {
+        item.errors.push({
+          field: 'owner',
+          message: 'Not authorized to assign tasks to other users',
+        });
+      } else {
+        item.owner = ownerIds.get(ownerEmail);
+      }
+    }
+
+    // Check the remaining fields against the Task model
+    for (const item of items) {
+      const { title, description, completed, completedAt, dueDate, priority } = item.fields;
+      item.taskData = {
+        title,
+        description,
+        completed,
+        completedAt,
+        dueDate,
+        priority,
+        owner: item.owner,
+        project: project || null,
+      };
+
+      const validationError = new Task(item.taskData).validateSync();
+      if (validationError) {
+        Object.values(validationError.errors).forEach((error) => {
+          if (!item.errors.some((existing) => existing.field === error.path)) {
+            item.errors.push({ field: error.path, message: error.message });
+          }
+        });
+      }
+    }
+
+    // Flag tasks that already exist, or appear earlier in the file
+    const valid = items.filter((item) => item.errors.length === 0);
+    const existing = valid.length
+      ? await Task.find({
+          owner: { $in: [...new Set(valid.map((item) => String(item.owner)))] },
+          title: { $in: [...new Set(valid.map((item) => item.taskData.title))] },
+        })
+          .collation({ locale: 'en', strength: 2 })
+          .select('owner title dueDate')
+      : [];
+    const seen = new Set(
+      existing.map((task) => duplicateKey(task.owner, task.title, task.dueDate))
+    );
+
+    for (const item of valid) {
+      const key = duplicateKey(item.owner, item.taskData.title, item.taskData.dueDate);
+      item.duplicate = seen.has(key);
+      seen.add(key);
+    }
+
+    const toImport = valid.filter((item) => !(item.duplicate && skipDuplicates));
+
+    // Tags are the importer's own, and missing ones are created
+    const tagNames = [
+      ...new Map(
+        toImport
+          .flatMap((item) => item.fields.tagNames || [])
+          .map((name) => [name.toLowerCase(), name])
+      ).values(),
+    ];
+    const tagIds = await findTagsByName(tagNames, req.user);
+    const newTags = tagNames.filter((name) => !tagIds.has(name.toLowerCase()));
+
+    const importId = new mongoose.Types.ObjectId();
+    const auditUser = getAuditUser(req.user);
+
+    if (!dryRun) {
+      for (const name of newTags) {
+        const tag = await Tag.findOneAndUpdate(
+          { owner: req.user._id, name },
+          { $setOnInsert: { owner: req.user._id, name } },
+          { upsert: true, new: true, collation: { locale: 'en', strength: 2 } }
+        );
+        tagIds.set(name.toLowerCase(), tag._id);
+      }
+
+      for (const item of toImport) {
+        try {
+          const task = new Task({
+            ...item.taskData,
+            tags: (item.fields.tagNames || []).map((name) => tagIds.get(name.toLowerCase())),
+          });
+          // Every imported task gets a create audit entry tagged with the import
+          task.$locals = { auditUser, auditExtra: { import_id: importId } };
+          await task.save();
+          item.id = task._id;
+        } catch (error) {
+          const failure = toBulkFailure(error);
+          item.errors.push({ field: null, message: failure.error });
+        }
+      }
+    }
+
+    const results = items.map((item) => {
+      let status;
+      if (item.errors.length > 0) {
+        status = 'invalid';
+      } else if (item.duplicate && skipDuplicates) {
+        status = 'duplicate';
+      } else {
+        status = dryRun ? 'valid' : 'imported';
+      }
+
+      return {
+        row: item.row,
+        status,
+        title: item.fields.title,
+        ...(item.id && { id: item.id }),
+        ...(item.duplicate && { duplicate: true }),
+        ...(item.errors.length > 0 && { errors: item.errors }),
+      };
+    });
+
+    const countStatus = (status) => results.filter((result) => result.status === status).length;
+    const summary = {
+      total: items.length,
+      [dryRun ? 'valid' : 'imported']: countStatus(dryRun ? 'valid' : 'imported'),
+      duplicates: countStatus('duplicate'),
+      invalid: countStatus('invalid'),
+      newTags,
+    };
+
+    logger.info({
+      message: dryRun ? 'Task import checked' : 'Tasks imported',
+      userId: req.user._id,
+      importId: dryRun ? undefined : importId,
+      format,
+      ...summary,
+    });
+
+    return successResponse(res, dryRun ? 200 : 201, dryRun ? 'Import checked' : 'Tasks imported', {
+      dryRun,
+      ...(!dryRun && { importId }),
+      summary,
+      results,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,141 @@
+import { subscribeToEvents } from '../utils/events.js';
+import { reauthenticate } from '../middleware/auth.js';
+import logger from '../utils/logger.js';
+
+// Comment lines sent on idle streams so proxies don't close them; the session and
+// permissions are checked again at the same interval
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How long clients wait before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// Output buffered for a client that stopped reading, beyond which the stream is closed
+const MAX_BUFFERED_BYTES = 256 * 1024;
+
+/**
+ * What a user (userId, or every user when omitted) receives for an event: the full event
+ * for the task's owner, a "task.removed" event without the task for the previous owner of
+ * a reassigned task, and nothing for anyone else
+ */
+const eventFor = (event, userId) => {
+  if (!userId || String(event.data.task.owner) === userId) {
+    return event;
+  }
+
+  const ownerChange = event.data.changes.find((change) => change.field_name === 'owner');
+  if (ownerChange && String(ownerChange.from_value) === userId) {
+    return {
+      id: event.id,
+      type: 'task.removed',
+      occurredAt: event.occurredAt,
+      data: { task: { _id: event.data.task._id } },
+    };
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Stream task events (Server-Sent Events)
+ * @route   GET /api/tasks/events
+ * @query   user (task.read.any only; defaults to every user)
+ * @access  Private (own tasks; task.read.any for every user's)
+ */
+export const streamTaskEvents = (req, res) => {
+  // Regular users only receive events for their own tasks
+  const readAny = req.user.hasPermission('task.read.any');
+  let userFilter = null;
+  if (!readAny) {
+    userFilter = req.user._id.toString();
+  } else if (req.query.user) {
+    userFilter = req.query.user;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const close = (reason) => {
+    if (res.writableEnded) return;
+
+    logger.info({
+      message: 'Task event stream ended by the server',
+      userId: req.user._id,
+      reason,
+    });
+    res.end();
+  };
+
+  // Clients that stop reading get disconnected rather than buffered for
+  const send = (chunk) => {
+    if (res.writableEnded || res.destroyed) return;
+
+    if (res.writableLength > MAX_BUFFERED_BYTES) {
+      close('client not reading');
+      return;
+    }
+    res.write(chunk);
+  };
+
+  const unsubscribe = subscribeToEvents((event) => {
+    if (!event.type.startsWith('task.')) return;
+
+    const visible = eventFor(event, userFilter);
+    if (visible) {
+      send(`id: ${visible.id}\nevent: ${visible.type}\ndata: ${JSON.stringify(visible)}\n\n`);
+    }
+  });
+
+  // End the stream once its session or API key is revoked, the user is deleted, or the
+  // user loses the permission the stream was opened with
+  let checking = false;
+  const checkAccess = async () => {
+    if (checking) return;
+    checking = true;
+    try {
+      const user = await reauthenticate(req);
+
+      if (!user) {
+        close('session revoked');
+      } else if (readAny && !user.hasPermission('task.read.any')) {
+        close('permission revoked');
+      }
+    } catch (error) {
+      logger.error({
+        message: 'Task event stream access check failed',
+        userId: req.user._id,
+        error: error.message,
+      });
+      close('access check failed');
+    } finally {
+      checking = false;
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    send(': heartbeat\n\n');
+    checkAccess();
+  }, HEARTBEAT_INTERVAL_MS);
+
+  logger.info({
+    message: 'Task event stream opened',
+    userId: req.user._id,
+    filter: userFilter || 'all',
+  });
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+
+    logger.info({
+      message: 'Task event stream closed',
+      userId: req.user._id,
+    });
+  });
+};
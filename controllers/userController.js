@@ -1,13 +1,54 @@
 import User from '../models/User.js';
 import Task from '../models/Task.js';
-import { AppError } from '../utils/AppError.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Project from '../models/Project.js';
+import Tag from '../models/Tag.js';
+import ApiKey from '../models/ApiKey.js';
+import Notification from '../models/Notification.js';
+import Role, { DEFAULT_ROLE } from '../models/Role.js';
+import { AppError, fieldError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
 import { successResponse } from '../utils/responseHandler.js';
+import { parsePagination } from '../utils/queryHelpers.js';
 import logger from '../utils/logger.js';
+import { publishEvent } from '../utils/events.js';
+import { parseStatsRange, computeTaskStats, computeOwnerLeaderboard } from '../utils/taskStats.js';
+import { authAccountLimiter } from '../middleware/rateLimit.js';
+import { assertCanGrant } from '../middleware/rbac.js';
 
 /**
- * @desc    Get all users (admin only)
+ * Check roles exist and that the current user may assign them
+ * (nobody can hand out permissions they don't have)
+ */
+const assertAssignableRoles = async (user, roles) => {
+  const unknown = await Role.findUnknown(roles);
+  if (unknown.length > 0) {
+    throw fieldError('roles', `Invalid roles: ${unknown.join(', ')}`);
+  }
+
+  assertCanGrant(user, await Role.permissionsFor(roles));
+};
+
+/**
+ * Check the current user has every permission of the user they act on,
+ * so a custom role with user.manage can't act on more privileged accounts
+ */
+const assertCanManageUser = async (actor, target) => {
+  const permissions = await Role.permissionsFor(target.roles);
+
+  if (permissions.some((permission) => !actor.hasPermission(permission))) {
+    throw new AppError(
+      'Not authorized to manage users with permissions you do not have',
+      403,
+      ERROR_CODES.PERMISSION_DENIED
+    );
+  }
+};
+
+/**
+ * @desc    Get all users
  * @route   GET /api/users
- * @access  Private (admin)
+ * @access  Private (user.manage)
  */
 export const getUsers = async (req, res, next) => {
   try {
@@ -20,9 +61,9 @@ export const getUsers = async (req, res, next) => {
 };
 
 /**
- * @desc    Create user account (admin only)
+ * @desc    Create user account
  * @route   POST /api/users
- * @access  Private (admin)
+ * @access  Private (user.manage)
  */
 export const createUser = async (req, res, next) => {
   try {
@@ -30,29 +71,25 @@ export const createUser = async (req, res, next) => {
 
     // Validation
     if (!email || !password) {
-      throw new AppError('Email and password are required', 400);
+      throw new AppError('Email and password are required', 422, ERROR_CODES.VALIDATION_FAILED);
     }
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      throw new AppError('User already exists', 409);
+      throw new AppError('User already exists', 409, ERROR_CODES.USER_ALREADY_EXISTS);
     }
 
     // Validate roles
     if (roles && Array.isArray(roles)) {
-      const validRoles = ['user', 'admin'];
-      const invalidRoles = roles.filter((role) => !validRoles.includes(role));
-      if (invalidRoles.length > 0) {
-        throw new AppError(`Invalid roles: ${invalidRoles.join(', ')}`, 400);
-      }
+      await assertAssignableRoles(req.user, roles);
     }
 
     // Create user
     const userData = {
       email,
       passwordHash: password, // Will be hashed by pre-save middleware
-      roles: roles || ['user'],
+      roles: roles || [DEFAULT_ROLE],
     };
 
     const user = await User.create(userData);
@@ -77,39 +114,48 @@ export const createUser = async (req, res, next) => {
 };
 
 /**
- * @desc    Change user role (admin only)
+ * @desc    Change user roles
  * @route   POST /api/users/:id/role
- * @access  Private (admin)
+ * @access  Private (user.manage)
  */
 export const changeUserRole = async (req, res, next) => {
   try {
     const { roles } = req.body;
 
     if (!roles || !Array.isArray(roles)) {
-      throw new AppError('Roles array is required', 400);
+      throw fieldError('roles', 'Roles array is required');
     }
 
     // Validate roles
-    const validRoles = ['user', 'admin'];
-    const invalidRoles = roles.filter((role) => !validRoles.includes(role));
-    if (invalidRoles.length > 0) {
-      throw new AppError(`Invalid roles: ${invalidRoles.join(', ')}`, 400);
-    }
+    await assertAssignableRoles(req.user, roles);
 
     const user = await User.findById(req.params.id);
 
     if (!user) {
-      throw new AppError('User not found', 404);
+      throw new AppError('User not found', 404, ERROR_CODES.USER_NOT_FOUND);
     }
 
-    // Prevent admin from removing their own admin role
-    if (user._id.toString() === req.user._id.toString() && !roles.includes('admin')) {
-      throw new AppError('Cannot remove your own admin role', 400);
+    await assertCanManageUser(req.user, user);
+
+    // Prevent users from removing their own user management permission
+    if (
+      user._id.toString() === req.user._id.toString() &&
+      !(await Role.permissionsFor(roles)).includes('user.manage')
+    ) {
+      throw new AppError(
+        'Cannot remove your own user management permission',
+        400,
+        ERROR_CODES.USER_SELF_MODIFICATION
+      );
     }
 
+    const previousRoles = [...user.roles];
     user.roles = roles;
     await user.save();
 
+    // Force re-login so existing sessions don't keep acting under the old roles
+    await RefreshToken.revokeAllForUser(user._id, 'admin_revoked');
+
     logger.info({
       message: 'User role changed',
       userId: user._id,
@@ -124,6 +170,12 @@ export const changeUserRole = async (req, res, next) => {
       updatedAt: user.updatedAt,
     };
 
+    publishEvent('user.role_changed', {
+      user: userResponse,
+      previousRoles,
+      actor: { id: req.user._id, name: req.user.email },
+    });
+
     return successResponse(res, 200, 'User role updated successfully', { user: userResponse });
   } catch (error) {
     next(error);
@@ -131,25 +183,53 @@ export const changeUserRole = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete user (admin only)
+ * @desc    Delete user
  * @route   DELETE /api/users/:id
- * @access  Private (admin)
+ * @access  Private (user.manage)
  */
 export const deleteUser = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
 
     if (!user) {
-      throw new AppError('User not found', 404);
+      throw new AppError('User not found', 404, ERROR_CODES.USER_NOT_FOUND);
     }
 
     // Prevent admin from deleting themselves
     if (user._id.toString() === req.user._id.toString()) {
-      throw new AppError('Cannot delete your own account', 400);
+      throw new AppError('Cannot delete your own account', 400, ERROR_CODES.USER_SELF_MODIFICATION);
     }
 
-    // Delete user's tasks
-    await Task.deleteMany({ owner: user._id });
+    await assertCanManageUser(req.user, user);
+
+    // Revoke all sessions
+    await RefreshToken.revokeAllForUser(user._id, 'admin_revoked');
+
+    // Delete user's API keys
+    await ApiKey.deleteMany({ user: user._id });
+
+    // Delete user's notifications
+    await Notification.deleteMany({ recipient: user._id });
+
+    // Move user's tasks to the trash (purged after the retention period)
+    const auditUser = {
+      id: req.user._id,
+      name: req.user.email,
+      role: req.user.roles[0] || 'user',
+    };
+    const tasks = await Task.find({ owner: user._id, parent: null }).select('_id');
+    for (const task of tasks) {
+      await Task.softDelete(task._id, auditUser);
+    }
+
+    // Delete user's tags
+    await Tag.deleteMany({ owner: user._id });
+
+    // Remove user from project memberships
+    await Project.updateMany(
+      { 'members.user': user._id },
+      { $pull: { members: { user: user._id } } }
+    );
 
     // Delete user
     await User.findByIdAndDelete(req.params.id);
@@ -166,3 +246,119 @@ export const deleteUser = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Revoke all sessions for a user
+ * @route   POST /api/users/:id/revoke-sessions
+ * @access  Private (user.manage)
+ */
+export const revokeUserSessions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new AppError('User not found', 404, ERROR_CODES.USER_NOT_FOUND);
+    }
+
+    await assertCanManageUser(req.user, user);
+
+    const result = await RefreshToken.revokeAllForUser(user._id, 'admin_revoked');
+
+    logger.info({
+      message: 'User sessions revoked',
+      userId: user._id,
+      revokedBy: req.user._id,
+      revokedCount: result.modifiedCount,
+    });
+
+    return successResponse(res, 200, 'User sessions revoked successfully', {
+      revokedCount: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unlock an account locked after failed logins
+ * @route   POST /api/users/:id/unlock
+ * @access  Private (user.manage)
+ */
+export const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new AppError('User not found', 404, ERROR_CODES.USER_NOT_FOUND);
+    }
+
+    await assertCanManageUser(req.user, user);
+
+    const wasLocked = user.isLocked();
+
+    await user.resetLoginAttempts();
+    // Also clear the per-account login rate limit
+    await authAccountLimiter.resetKey(user.email);
+
+    logger.info({
+      message: 'User account unlocked',
+      userId: user._id,
+      unlockedBy: req.user._id,
+      wasLocked,
+    });
+
+    return successResponse(res, 200, 'User account unlocked successfully', { wasLocked });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get task statistics across all users, with a leaderboard of task owners
+ * @route   GET /api/users/stats
+ * @query   bucket (day, week, month), from, to, limit (leaderboard size)
+ * @access  Private (user.manage)
+ */
+export const getAllUserStats = async (req, res, next) => {
+  try {
+    const range = parseStatsRange(req.query);
+    const { limit } = parsePagination(req.query);
+
+    const [stats, leaderboard] = await Promise.all([
+      computeTaskStats(range),
+      computeOwnerLeaderboard(range, limit),
+    ]);
+
+    return successResponse(res, 200, 'Task statistics retrieved successfully', {
+      stats,
+      leaderboard,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get task statistics for a user
+ * @route   GET /api/users/:id/stats
+ * @query   bucket (day, week, month), from, to
+ * @access  Private (user.manage)
+ */
+export const getUserStats = async (req, res, next) => {
+  try {
+    const range = parseStatsRange(req.query);
+    const user = await User.findById(req.params.id).select('email');
+
+    if (!user) {
+      throw new AppError('User not found', 404, ERROR_CODES.USER_NOT_FOUND);
+    }
+
+    const stats = await computeTaskStats({ owner: user._id, ...range });
+
+    return successResponse(res, 200, 'Task statistics retrieved successfully', {
+      user: { id: user._id, email: user.email },
+      stats,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,216 @@
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { AppError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { parsePagination, buildPagination } from '../utils/queryHelpers.js';
+import { enqueueTestEvent, sendDelivery } from '../utils/webhooks.js';
+import logger from '../utils/logger.js';
+
+const loadWebhook = async (id) => {
+  const webhook = await Webhook.findById(id);
+
+  if (!webhook) {
+    throw new AppError('Webhook not found', 404, ERROR_CODES.WEBHOOK_NOT_FOUND);
+  }
+
+  return webhook;
+};
+
+/**
+ * @desc    Get all webhooks
+ * @route   GET /api/webhooks
+ * @access  Private (webhook.manage)
+ */
+export const getWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find().sort('-createdAt');
+
+    return successResponse(res, 200, 'Webhooks retrieved successfully', { webhooks });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single webhook
+ * @route   GET /api/webhooks/:id
+ * @access  Private (webhook.manage)
+ */
+export const getWebhook = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req.params.id);
+
+    return successResponse(res, 200, 'Webhook retrieved successfully', { webhook });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Register a webhook
+ * @route   POST /api/webhooks
+ * @access  Private (webhook.manage)
+ */
+export const createWebhook = async (req, res, next) => {
+  try {
+    const { url, description, events, active } = req.body;
+    const secret = Webhook.generateSecret();
+
+    const webhook = await Webhook.create({
+      url,
+      description,
+      events: [...new Set(events)],
+      active,
+      secret,
+      createdBy: req.user._id,
+    });
+
+    logger.info({
+      message: 'Webhook created',
+      webhookId: webhook._id,
+      events: webhook.events,
+      createdBy: req.user._id,
+    });
+
+    // The signing secret is only returned once
+    const webhookResponse = webhook.toObject();
+    delete webhookResponse.secret;
+    return successResponse(res, 201, 'Webhook created successfully', {
+      webhook: webhookResponse,
+      secret,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a webhook
+ * @route   PUT /api/webhooks/:id
+ * @access  Private (webhook.manage)
+ */
+export const updateWebhook = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req.params.id);
+    const { url, description, events, active } = req.body;
+
+    if (url !== undefined) webhook.url = url;
+    if (description !== undefined) webhook.description = description;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (active !== undefined) webhook.active = active;
+
+    await webhook.save();
+
+    logger.info({
+      message: 'Webhook updated',
+      webhookId: webhook._id,
+      updatedBy: req.user._id,
+    });
+
+    return successResponse(res, 200, 'Webhook updated successfully', { webhook });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a webhook and its delivery log
+ * @route   DELETE /api/webhooks/:id
+ * @access  Private (webhook.manage)
+ */
+export const deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req.params.id);
+
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    logger.info({
+      message: 'Webhook deleted',
+      webhookId: webhook._id,
+      deletedBy: req.user._id,
+    });
+
+    return successResponse(res, 200, 'Webhook deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a webhook's delivery log (newest first, without payloads)
+ * @route   GET /api/webhooks/:id/deliveries
+ * @query   status, page, limit
+ * @access  Private (webhook.manage)
+ */
+export const getDeliveries = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req.params.id);
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const query = { webhook: webhook._id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const [total, deliveries] = await Promise.all([
+      WebhookDelivery.countDocuments(query),
+      WebhookDelivery.find(query).select('-payload').sort('-createdAt').skip(skip).limit(limit),
+    ]);
+
+    return successResponse(res, 200, 'Deliveries retrieved successfully', {
+      deliveries,
+      pagination: buildPagination(page, limit, total),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single delivery with its payload
+ * @route   GET /api/webhooks/:id/deliveries/:deliveryId
+ * @access  Private (webhook.manage)
+ */
+export const getDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhook: req.params.id,
+    });
+
+    if (!delivery) {
+      throw new AppError('Delivery not found', 404, ERROR_CODES.WEBHOOK_DELIVERY_NOT_FOUND);
+    }
+
+    return successResponse(res, 200, 'Delivery retrieved successfully', { delivery });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a "ping" test event to a webhook and return the result
+ * @route   POST /api/webhooks/:id/test
+ * @access  Private (webhook.manage)
+ */
+export const sendTestEvent = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req.params.id);
+
+    const delivery = await sendDelivery(await enqueueTestEvent(webhook));
+
+    logger.info({
+      message: 'Webhook test event sent',
+      webhookId: webhook._id,
+      deliveryId: delivery._id,
+      status: delivery.status,
+      sentBy: req.user._id,
+    });
+
+    return successResponse(res, 200, 'Test event sent', { delivery });
+  } catch (error) {
+    next(error);
+  }
+};
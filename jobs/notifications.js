@@ -0,0 +1,34 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { subscribeToEvents } from '../utils/events.js';
+import { notifyForTaskEvent, sendDueReminders } from '../utils/notifications.js';
+
+/**
+ * Create notifications for task events and send due reminders periodically
+ */
+export const startNotificationJob = () => {
+  subscribeToEvents(notifyForTaskEvent);
+
+  const run = async () => {
+    try {
+      const sent = await sendDueReminders();
+
+      if (sent > 0) {
+        logger.info({
+          message: 'Due reminders sent',
+          reminders: sent,
+        });
+      }
+    } catch (error) {
+      logger.error({
+        message: 'Due reminders failed',
+        error: error.message,
+      });
+    }
+  };
+
+  const timer = setInterval(run, config.notifications.reminderIntervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
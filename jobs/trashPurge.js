@@ -0,0 +1,50 @@
+import Task from '../models/Task.js';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Audit context for changes made by background jobs
+const SYSTEM_AUDIT_USER = { name: 'system', role: 'system' };
+
+/**
+ * Permanently delete tasks that have been in the trash longer than the retention period
+ */
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - config.trashRetentionDays * DAY_MS);
+
+  const tasks = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+  for (const task of tasks) {
+    await Task.purge(task._id, SYSTEM_AUDIT_USER);
+  }
+
+  if (tasks.length > 0) {
+    logger.info({
+      message: 'Expired trash purged',
+      purgedTasks: tasks.length,
+      retentionDays: config.trashRetentionDays,
+    });
+  }
+
+  return tasks.length;
+};
+
+/**
+ * Run the trash purge at startup and then periodically
+ */
+export const startTrashPurgeJob = () => {
+  const run = () =>
+    purgeExpiredTrash().catch((error) => {
+      logger.error({
+        message: 'Trash purge failed',
+        error: error.message,
+      });
+    });
+
+  run();
+
+  const timer = setInterval(run, config.trashPurgeIntervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
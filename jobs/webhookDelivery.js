@@ -0,0 +1,64 @@
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { subscribeToEvents } from '../utils/events.js';
+import { enqueueEvent, sendDelivery, DELIVERY_LEASE_MS } from '../utils/webhooks.js';
+
+/**
+ * Send every delivery that is due
+ * Each delivery is claimed atomically, so several app instances can share the queue.
+ */
+export const processDueDeliveries = async () => {
+  let sent = 0;
+
+  for (;;) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { nextAttemptAt: new Date(now.getTime() + DELIVERY_LEASE_MS) },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+    if (!delivery) {
+      return sent;
+    }
+
+    await sendDelivery(delivery);
+    sent += 1;
+  }
+};
+
+/**
+ * Queue published events for their webhooks and send due deliveries
+ * Deliveries are sent as soon as they are queued, with a periodic poll for retries.
+ */
+export const startWebhookDeliveryJob = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      logger.error({
+        message: 'Webhook delivery failed',
+        error: error.message,
+      });
+    } finally {
+      running = false;
+    }
+  };
+
+  subscribeToEvents(async (event) => {
+    const deliveries = await enqueueEvent(event);
+    if (deliveries.length > 0) {
+      run();
+    }
+  });
+
+  const timer = setInterval(run, config.webhooks.pollIntervalSeconds * 1000);
+  timer.unref();
+
+  return timer;
+};
@@ -1,11 +1,76 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import ApiKey from '../models/ApiKey.js';
 import { AppError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
 import config from '../config/config.js';
 
+// Header carrying a personal API key
+const API_KEY_HEADER = 'x-api-key';
+
+// Methods that only read data and need a resource's read scope
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Resolve the user and session (refresh token family) for a Bearer JWT, checking that
+ * the session has not been revoked
+ */
+const authenticateToken = async (token) => {
+  let decoded;
+  try {
+    // Verify token
+    decoded = jwt.verify(token, config.jwtSecret);
+  } catch (error) {
+    // Expired tokens get their own code so clients know to refresh
+    if (error.name === 'TokenExpiredError') {
+      throw new AppError('Token expired', 401, ERROR_CODES.AUTH_TOKEN_EXPIRED);
+    }
+    throw new AppError('Invalid token', 401, ERROR_CODES.AUTH_TOKEN_INVALID);
+  }
+
+  // Reject tokens whose session was logged out or revoked
+  if (!decoded.sid || !(await RefreshToken.isSessionActive(decoded.sid))) {
+    throw new AppError('Session has been revoked', 401, ERROR_CODES.AUTH_SESSION_REVOKED);
+  }
+
+  // Get user from token (exclude password)
+  const user = await User.findById(decoded.id).select('-passwordHash');
+
+  // Tokens of deleted users are no longer valid
+  if (!user) {
+    throw new AppError('Invalid token', 401, ERROR_CODES.AUTH_TOKEN_INVALID);
+  }
+
+  return { user, sessionId: decoded.sid };
+};
+
+/**
+ * Resolve the user and key for a personal API key
+ */
+const authenticateApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findActiveByKey(key);
+
+  if (!apiKey) {
+    throw new AppError('Invalid API key', 401, ERROR_CODES.AUTH_API_KEY_INVALID);
+  }
+
+  const user = await User.findById(apiKey.user).select('-passwordHash');
+
+  if (!user) {
+    throw new AppError('Invalid API key', 401, ERROR_CODES.AUTH_API_KEY_INVALID);
+  }
+
+  await apiKey.recordUsage(ip);
+
+  return { user, apiKey };
+};
+
 /**
- * JWT Authentication Middleware
- * Verifies JWT token from Authorization header
+ * Authentication Middleware
+ * Accepts either a JWT in the Authorization header (Bearer) or a personal
+ * API key in the X-API-Key header. Requests made with an API key set
+ * req.apiKey and are limited to the key's scopes (see requireScope).
  */
 export const authenticate = async (req, res, next) => {
   try {
@@ -16,27 +81,87 @@ export const authenticate = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
-    if (!token) {
-      throw new AppError('Not authorized to access this route', 401);
-    }
+    const key = req.get(API_KEY_HEADER);
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, config.jwtSecret);
-
-      // Get user from token (exclude password)
-      req.user = await User.findById(decoded.id).select('-passwordHash');
+    if (token) {
+      const { user, sessionId } = await authenticateToken(token);
+      req.user = user;
+      req.sessionId = sessionId;
+    } else if (key) {
+      const { user, apiKey } = await authenticateApiKey(key, req.ip);
+      req.user = user;
+      req.apiKey = apiKey;
+    } else {
+      throw new AppError('Not authorized to access this route', 401, ERROR_CODES.AUTH_REQUIRED);
+    }
 
-      if (!req.user) {
-        throw new AppError('User not found', 404);
-      }
+    // Resolve permissions from the user's roles (see requirePermission)
+    await req.user.loadPermissions();
 
-      next();
-    } catch (error) {
-      throw new AppError('Invalid token', 401);
-    }
+    next();
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Check an authenticated request again, for responses that stay open (event streams)
+ * Returns the user with up-to-date permissions, or null once the session or API key
+ * has been revoked or the user deleted
+ */
+export const reauthenticate = async (req) => {
+  const active = req.apiKey
+    ? await ApiKey.isKeyActive(req.apiKey._id)
+    : await RefreshToken.isSessionActive(req.sessionId);
+
+  if (!active) {
+    return null;
+  }
+
+  const user = await User.findById(req.user._id).select('-passwordHash');
+  if (user) {
+    await user.loadPermissions();
+  }
+
+  return user;
+};
+
+/**
+ * Require an API key scope
+ * Requests authenticated with a JWT are not limited by scopes
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (req.apiKey && !req.apiKey.hasScope(scope)) {
+    return next(
+      new AppError(`API key is missing the ${scope} scope`, 403, ERROR_CODES.API_KEY_SCOPE_MISSING)
+    );
+  }
+
+  next();
+};
+
+/**
+ * Require the read or write scope of a resource (e.g. tasks:read for GET,
+ * tasks:write for everything else)
+ */
+export const requireResourceScope = (resource) => (req, res, next) => {
+  const access = READ_METHODS.includes(req.method) ? 'read' : 'write';
+  return requireScope(`${resource}:${access}`)(req, res, next);
+};
+
+/**
+ * Reject API keys on routes that need a signed-in user (e.g. managing keys)
+ */
+export const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return next(
+      new AppError(
+        'API keys cannot be used for this endpoint',
+        403,
+        ERROR_CODES.API_KEY_NOT_ALLOWED
+      )
+    );
+  }
+
+  next();
+};
@@ -1,74 +1,103 @@
 import logger from '../utils/logger.js';
 import { errorResponse } from '../utils/responseHandler.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
 import config from '../config/config.js';
 
 /**
  * Global error handling middleware
- * Catches all errors and sends consistent error responses
+ * Catches all errors and sends consistent error responses with a stable code
  */
 export const errorHandler = (err, req, res, next) => {
-  let error = { ...err };
-  error.message = err.message;
+  // Only AppErrors carry one of our codes (other errors may have driver codes)
+  let error = {
+    message: err.message,
+    statusCode: err.statusCode,
+    code: err.isOperational ? err.code : undefined,
+    details: err.isOperational ? err.details : null,
+  };
 
   // Log error
   logger.error({
     error: err.message,
+    code: error.code,
     stack: err.stack,
     path: req.path,
     method: req.method,
+    requestId: req.id,
     userId: req.user?.id,
   });
 
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
-    const message = 'Resource not found';
     error = {
-      message,
-      statusCode: 404,
+      message: `Invalid ${err.path}: ${err.value}`,
+      statusCode: 400,
+      code: ERROR_CODES.INVALID_ID,
+      details: [{ field: err.path, message: `Invalid ${err.kind}` }],
     };
   }
 
   // Mongoose duplicate key
   if (err.code === 11000) {
-    const message = 'Duplicate field value entered';
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
     error = {
-      message,
-      statusCode: 400,
+      message: fields.length
+        ? `Duplicate value for ${fields.join(', ')}`
+        : 'Duplicate field value entered',
+      statusCode: 409,
+      code: ERROR_CODES.DUPLICATE_VALUE,
+      details: fields.map((field) => ({ field, message: 'Value already exists' })),
     };
   }
 
   // Mongoose validation error
   if (err.name === 'ValidationError') {
-    const message = Object.values(err.errors).map((val) => val.message).join(', ');
+    const details = Object.values(err.errors).map((val) => ({
+      field: val.path,
+      message: val.message,
+    }));
     error = {
-      message,
-      statusCode: 400,
+      message: details.map((detail) => detail.message).join(', '),
+      statusCode: 422,
+      code: ERROR_CODES.VALIDATION_FAILED,
+      details,
     };
   }
 
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
-    const message = 'Invalid token';
     error = {
-      message,
+      message: 'Invalid token',
       statusCode: 401,
+      code: ERROR_CODES.AUTH_TOKEN_INVALID,
     };
   }
 
   if (err.name === 'TokenExpiredError') {
-    const message = 'Token expired';
     error = {
-      message,
+      message: 'Token expired',
       statusCode: 401,
+      code: ERROR_CODES.AUTH_TOKEN_EXPIRED,
+    };
+  }
+
+  // Malformed JSON body
+  if (err.type === 'entity.parse.failed') {
+    error = {
+      message: 'Malformed JSON in request body',
+      statusCode: 400,
+      code: ERROR_CODES.BAD_REQUEST,
     };
   }
 
-  const statusCode = error.statusCode || err.statusCode || 500;
+  const statusCode = error.statusCode || 500;
   const message = error.message || 'Server Error';
 
   // In production, don't leak error details
-  const errors = config.env === 'local' ? err.stack : undefined;
+  const stack = config.env === 'local' ? err.stack : undefined;
 
-  return errorResponse(res, statusCode, message, errors);
+  return errorResponse(res, statusCode, message, error.details || null, {
+    code: error.code,
+    stack,
+  });
 };
-
@@ -0,0 +1,98 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+
+/**
+ * Rate Limiting Middleware
+ * Counts requests per key (IP address, account, ...) in fixed windows using
+ * the configured store and rejects requests over the limit with 429
+ */
+
+const DEFAULT_WINDOW_MS = config.rateLimit.windowMinutes * 60 * 1000;
+
+/**
+ * Create a rate limiter
+ * name prefixes the storage keys; keyGenerator(req) returns the value to count
+ * requests by, or nothing to skip limiting the request
+ * The returned middleware has resetKey(value) to clear a counter
+ */
+export const createRateLimiter = ({
+  name,
+  max,
+  windowMs = DEFAULT_WINDOW_MS,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later',
+}) => {
+  const storageKey = (value) => `${name}:${value}`;
+
+  const limiter = async (req, res, next) => {
+    const value = keyGenerator(req);
+    if (!value) {
+      return next();
+    }
+
+    let hits;
+    try {
+      hits = await getRateLimitStore().increment(storageKey(value), windowMs);
+    } catch (error) {
+      // Fail open: an unavailable store shouldn't take the API down with it
+      logger.error({ message: 'Rate limit store error', limiter: name, error: error.message });
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((hits.resetAt.getTime() - Date.now()) / 1000), 0);
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(max - hits.count, 0)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (hits.count > max) {
+      logger.warn({ message: 'Rate limit exceeded', limiter: name, ip: req.ip, path: req.path });
+
+      res.set('Retry-After', String(resetSeconds));
+      return next(new AppError(message, 429, ERROR_CODES.RATE_LIMITED));
+    }
+
+    next();
+  };
+
+  limiter.resetKey = (value) => getRateLimitStore().reset(storageKey(value));
+
+  return limiter;
+};
+
+// Accounts are identified by the (normalized) email in the request body
+const accountKey = (req) =>
+  typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null;
+
+/**
+ * Per-IP limit for the whole API
+ */
+export const apiLimiter = createRateLimiter({
+  name: 'api',
+  max: config.rateLimit.maxPerIp,
+});
+
+/**
+ * Stricter per-IP limit for the credential endpoints under /api/auth
+ */
+export const authIpLimiter = createRateLimiter({
+  name: 'auth-ip',
+  max: config.rateLimit.authMaxPerIp,
+  message: 'Too many authentication attempts, please try again later',
+});
+
+/**
+ * Per-account limit for login and password reset requests,
+ * regardless of the IP address they come from
+ */
+export const authAccountLimiter = createRateLimiter({
+  name: 'auth-account',
+  max: config.rateLimit.authMaxPerAccount,
+  keyGenerator: accountKey,
+  message: 'Too many attempts for this account, please try again later',
+});
@@ -1,42 +1,59 @@
 import { AppError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+import { PERMISSION_NAMES } from '../models/Role.js';
 
 /**
- * Role-Based Access Control Middleware
- * Checks if user has required role (admin or owner)
+ * Permission-Based Access Control Middleware
+ * Users get permissions from their roles (see models/Role.js); they are
+ * loaded by the authenticate middleware
  */
 
-/**
- * Admin only access
- */
-export const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return next(new AppError('Authentication required', 401));
-  }
-
-  if (!req.user.roles.includes('admin')) {
-    return next(new AppError('Admin access required', 403));
+const assertKnownPermissions = (permissions) => {
+  const unknown = permissions.filter((permission) => !PERMISSION_NAMES.includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
   }
-
-  next();
 };
 
 /**
- * Owner or Admin access
- * For resource-level authorization
+ * Require all of the given permissions
  */
-export const requireOwnerOrAdmin = (req, res, next) => {
-  if (!req.user) {
-    return next(new AppError('Authentication required', 401));
-  }
+export const requirePermission = (...permissions) => {
+  // Fail at startup on typos instead of silently denying every request
+  assertKnownPermissions(permissions);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401, ERROR_CODES.AUTH_REQUIRED));
+    }
+
+    const missing = permissions.filter((permission) => !req.user.hasPermission(permission));
+    if (missing.length > 0) {
+      return next(
+        new AppError(
+          `Missing permission: ${missing.join(', ')}`,
+          403,
+          ERROR_CODES.PERMISSION_DENIED
+        )
+      );
+    }
+
+    next();
+  };
+};
 
-  // Admins can access everything
-  if (req.user.roles.includes('admin')) {
-    return next();
+/**
+ * Check a user can grant the given permissions (to a role or through role assignment)
+ * Nobody can grant permissions they don't have themselves
+ */
+export const assertCanGrant = (user, permissions) => {
+  const missing = permissions.filter((permission) => !user.hasPermission(permission));
+
+  if (missing.length > 0) {
+    throw new AppError(
+      `Cannot grant permissions you don't have: ${missing.join(', ')}`,
+      403,
+      ERROR_CODES.PERMISSION_DENIED
+    );
   }
-
-  // Check if user is the owner
-  // This will be used in controllers where we check resource ownership
-  req.requireOwnerCheck = true;
-  next();
 };
-
@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+
+/**
+ * Request ID Middleware
+ * Reuses a client/proxy supplied X-Request-Id or generates one, exposes it as
+ * req.id and echoes it back so errors can be traced to their log entries
+ */
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Only accept short, printable IDs from clients
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+export const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  next();
+};
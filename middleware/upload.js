@@ -0,0 +1,80 @@
+import multer from 'multer';
+import config from '../config/config.js';
+import { AppError } from '../utils/AppError.js';
+import { ERROR_CODES } from '../utils/errorCodes.js';
+
+/**
+ * File Upload Middleware
+ * Parses multipart/form-data uploads into memory (req.file, other fields in req.body)
+ * with a size and MIME type limit
+ */
+
+// Multer instance accepting one file within the given limits
+const createUpload = ({ maxFileSizeMb, allowedTypes }) =>
+  multer({
+    storage: multer.memoryStorage(),
+    // Browsers send UTF-8 filenames without declaring a charset
+    defParamCharset: 'utf8',
+    limits: {
+      fileSize: maxFileSizeMb * 1024 * 1024,
+      files: 1,
+    },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        return cb(
+          new AppError(
+            `File type ${file.mimetype} is not allowed`,
+            415,
+            ERROR_CODES.ATTACHMENT_TYPE_NOT_ALLOWED
+          )
+        );
+      }
+      cb(null, true);
+    },
+  });
+
+// Map multer's errors onto API errors
+const toAppError = (error, maxFileSizeMb) => {
+  if (!(error instanceof multer.MulterError)) {
+    return error;
+  }
+
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return new AppError(
+      `File cannot exceed ${maxFileSizeMb} MB`,
+      413,
+      ERROR_CODES.ATTACHMENT_TOO_LARGE
+    );
+  }
+
+  return new AppError(`Invalid upload: ${error.message}`, 400, ERROR_CODES.ATTACHMENT_INVALID);
+};
+
+/**
+ * Accept a single file in the given form field
+ * limits ({ maxFileSizeMb, allowedTypes }) default to the attachment settings
+ * Responds with 400 when the request has no file
+ */
+export const uploadSingle = (field, limits = config.attachments) => {
+  const upload = createUpload(limits).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        return next(toAppError(error, limits.maxFileSizeMb));
+      }
+
+      if (!req.file) {
+        return next(
+          new AppError(
+            `A file is required in the "${field}" field`,
+            400,
+            ERROR_CODES.ATTACHMENT_INVALID
+          )
+        );
+      }
+
+      next();
+    });
+  };
+};
@@ -0,0 +1,53 @@
+import { checkSchema, checkExact, validationResult } from 'express-validator';
+import { errorResponse } from '../utils/responseHandler.js';
+
+/**
+ * Request validation middleware
+ * Builds route middleware from an express-validator schema (see validators/)
+ */
+
+// Flatten express-validator errors into one entry per failing field
+const formatErrors = (errors) =>
+  errors.flatMap((error) => {
+    if (error.type === 'unknown_fields') {
+      return error.fields.map((field) => ({
+        field: field.path,
+        location: field.location,
+        message: 'Unknown field',
+      }));
+    }
+
+    return [{ field: error.path, location: error.location, message: error.msg }];
+  });
+
+/**
+ * Validate body, params and query against a schema
+ * Fields that are not in the schema are rejected
+ * Responds with 422 and a list of failing fields when validation fails
+ */
+export const validate = (schema) => {
+  const chains = checkSchema(schema, ['body']);
+  // Checked one location at a time so a location without any schema fields
+  // rejects everything sent in it; uses the fields registered by the chains above
+  const exactChecks = ['body', 'query'].map((location) =>
+    checkExact([], { locations: [location] })
+  );
+
+  return async (req, res, next) => {
+    try {
+      await chains.run(req);
+      for (const check of exactChecks) {
+        await check.run(req);
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    const result = validationResult(req);
+    if (!result.isEmpty()) {
+      return errorResponse(res, 422, 'Validation failed', formatErrors(result.array()));
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Permissions an API key can be granted
+export const API_KEY_SCOPES = [
+  'tasks:read',
+  'tasks:write',
+  'projects:read',
+  'projects:write',
+  'tags:read',
+  'tags:write',
+  'audit:read',
+];
+
+// Raw keys look like "tk_<random>" so they are easy to spot in configs and logs
+const KEY_PREFIX = 'tk_';
+
+// Number of leading characters kept in clear text to help users identify a key
+const DISPLAY_PREFIX_LENGTH = 11;
+
+// last-used details are written at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * API Key Model
+ * Personal keys for scripts and integrations. Keys are stored hashed and act
+ * on behalf of their user, limited to their scopes.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'API key name is required'],
+      trim: true,
+      maxlength: [100, 'API key name cannot exceed 100 characters'],
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      enum: API_KEY_SCOPES,
+      validate: [(scopes) => scopes.length > 0, 'API key needs at least one scope'],
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: String,
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Hash a raw API key for storage and lookup
+ */
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+/**
+ * Create a new key for a user
+ * Returns the raw key (only ever shown to the user once) and the stored document
+ */
+apiKeySchema.statics.generate = async function (userId, { name, scopes, expiresAt = null }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const doc = await this.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: this.hashKey(key),
+  });
+
+  return { key, doc };
+};
+
+/**
+ * Find the active (not revoked or expired) key matching a raw key
+ */
+apiKeySchema.statics.findActiveByKey = function (key) {
+  return this.findOne({
+    keyHash: this.hashKey(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+/**
+ * Whether a key is still active (not revoked or expired)
+ */
+apiKeySchema.statics.isKeyActive = async function (id) {
+  const active = await this.exists({
+    _id: id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+  return Boolean(active);
+};
+
+/**
+ * Record that the key was used (throttled to limit writes)
+ */
+apiKeySchema.methods.recordUsage = async function (ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_INTERVAL_MS) {
+    return;
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: ip } }
+  );
+};
+
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
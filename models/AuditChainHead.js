@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * Audit Chain Head Model
+ * The latest entry (seq and hash) of each document's audit log hash chain. Heads are
+ * kept apart from the entries, so removing a chain's latest entries leaves the head
+ * pointing past the end of the chain (see TaskHistory.verifyChain).
+ */
+const auditChainHeadSchema = new mongoose.Schema(
+  {
+    model: { type: String, required: true },
+    model_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+    seq: { type: Number, required: true },
+    hash: { type: String, required: true },
+  },
+  {
+    collection: 'audit_chain_heads',
+    timestamps: false,
+  }
+);
+
+// One head per chain, also used to page through chains in order
+auditChainHeadSchema.index({ model: 1, model_id: 1 }, { unique: true });
+
+/**
+ * Move a chain's head to a newly appended entry (inside the caller's transaction when a
+ * session is given), unless a later entry already moved it further
+ */
+auditChainHeadSchema.statics.advance = function (entry, { session } = {}) {
+  const isNewer = { $gt: [entry.seq, { $ifNull: ['$seq', 0] }] };
+
+  return this.updateOne(
+    { model: entry.model, model_id: entry.model_id },
+    [
+      {
+        $set: {
+          seq: { $cond: [isNewer, entry.seq, '$seq'] },
+          hash: { $cond: [isNewer, entry.hash, '$hash'] },
+        },
+      },
+    ],
+    { upsert: true, session }
+  );
+};
+
+const AuditChainHead =
+  mongoose.models.AuditChainHead || mongoose.model('AuditChainHead', auditChainHeadSchema);
+
+export default AuditChainHead;
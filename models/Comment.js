@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import TaskHistory from './TaskHistory.js';
+
+// "@alice@example.com" mentions the user with that email
+const MENTION_PATTERN = /(?:^|[^\w@])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+/**
+ * Email addresses mentioned in a comment body (lowercased, without duplicates)
+ */
+export const parseMentions = (body) => {
+  const emails = new Set();
+  for (const match of String(body).matchAll(MENTION_PATTERN)) {
+    emails.add(match[1].toLowerCase());
+  }
+  return [...emails];
+};
+
+/**
+ * Comment Model
+ * Discussion on a task. Edits keep the previous versions, and comment activity
+ * is recorded in the task's audit trail under the "comments" field.
+ */
+const commentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    body: {
+      type: String,
+      required: [true, 'Comment body is required'],
+      trim: true,
+      maxlength: [5000, 'Comment cannot exceed 5000 characters'],
+    },
+    // Users mentioned as @email in the body
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Previous versions of the body, oldest first
+    edits: {
+      type: [
+        {
+          body: String,
+          editedAt: Date,
+          _id: false,
+        },
+      ],
+      select: false,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Supports listing a task's comments in order
+commentSchema.index({ task: 1, createdAt: 1, _id: 1 });
+
+// Summary of a comment stored in its task's audit trail
+const commentSummary = (doc) => ({
+  id: doc._id,
+  author: doc.author._id || doc.author,
+  body: doc.body,
+});
+
+/**
+ * Replace the body, keeping the previous version in the edit history
+ */
+commentSchema.methods.edit = function (body) {
+  if (body === this.body) {
+    return false;
+  }
+
+  this.edits.push({ body: this.body, editedAt: new Date() });
+  this.editedAt = new Date();
+  this.body = body;
+  return true;
+};
+
+// Pre-save hook to capture the change set
+// (isNew and modified paths are already reset when post-save hooks run)
+commentSchema.pre('save', function () {
+  if (this.isNew) {
+    this.$locals.auditLogs = [
+      { field_name: 'comments', from_value: null, to_value: commentSummary(this) },
+    ];
+    return;
+  }
+
+  const previous = this.edits?.[this.edits.length - 1];
+  this.$locals.auditLogs = this.isModified('body')
+    ? [
+        {
+          field_name: `comments.${this._id}.body`,
+          from_value: previous?.body ?? null,
+          to_value: this.body,
+        },
+      ]
+    : [];
+});
+
+// Post-save hook recording comment creation and edits on the task
+commentSchema.post('save', async function (doc, next) {
+  try {
+    // Get user context from document locals (set in controller)
+    const userContext = doc.$locals?.auditUser || null;
+    const logs = doc.$locals?.auditLogs || [];
+
+    if (logs.length > 0) {
+      await TaskHistory.record(doc.task, 'update', logs, userContext, { session: doc.$session() });
+    }
+  } catch (error) {
+    // Log error but don't fail the operation
+    console.error('Error creating audit log:', error);
+  }
+  next();
+});
+
+// Post-delete hook recording the removal on the task
+commentSchema.post('findOneAndDelete', async function (doc, next) {
+  if (!doc) return next();
+
+  try {
+    // Get user context from query options
+    const { auditUser, session } = this.getOptions();
+
+    await TaskHistory.record(
+      doc.task,
+      'update',
+      [{ field_name: 'comments', from_value: commentSummary(doc), to_value: null }],
+      auditUser || null,
+      { session }
+    );
+  } catch (error) {
+    console.error('Error creating audit log:', error);
+  }
+  next();
+});
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
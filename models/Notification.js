@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+
+export const NOTIFICATION_TYPES = [
+  'task.assigned',
+  'task.changed',
+  'task.due_soon',
+  'comment.mention',
+];
+
+/**
+ * Notification Model
+ * In-app notifications for a user. Unread notifications have no readAt;
+ * all notifications expire after the retention period.
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+    },
+    // User who caused the notification (null for system notifications)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Type-specific details (changed fields, due date, comment id)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    // Set on notifications that must only be created once (e.g. one reminder per due date)
+    dedupeKey: {
+      type: String,
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Supports listing a user's notifications, newest first
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+// Supports unread counts and mark-all-read
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+// Notifications are removed automatically after the retention period
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.notifications.retentionDays * 24 * 60 * 60 }
+);
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
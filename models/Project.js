@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Project roles in ascending order of access
+export const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Member user is required'],
+    },
+    role: {
+      type: String,
+      enum: {
+        values: PROJECT_ROLES,
+        message: `Project role must be one of: ${PROJECT_ROLES.join(', ')}`,
+      },
+      default: 'viewer',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Project Model
+ * A shared list of tasks with per-project member roles
+ */
+const projectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Project name is required'],
+      trim: true,
+      maxlength: [100, 'Project name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    members: {
+      type: [memberSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+projectSchema.index({ 'members.user': 1 });
+
+// Instance method to get a user's role in the project (null if not a member)
+projectSchema.methods.getMemberRole = function (userId) {
+  const member = this.members.find((m) => (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Instance method to check a user has at least the given role
+projectSchema.methods.hasRole = function (userId, minimumRole) {
+  const role = this.getMemberRole(userId);
+  return role !== null && PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minimumRole);
+};
+
+// Get IDs of projects a user is a member of (optionally with a minimum role)
+projectSchema.statics.findIdsForMember = async function (userId, minimumRole = 'viewer') {
+  const roles = PROJECT_ROLES.slice(PROJECT_ROLES.indexOf(minimumRole));
+  const projects = await this.find({
+    members: { $elemMatch: { user: userId, role: { $in: roles } } },
+  }).select('_id');
+  return projects.map((project) => project._id);
+};
+
+const Project = mongoose.model('Project', projectSchema);
+
+export default Project;
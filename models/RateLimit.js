@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+/**
+ * Rate Limit Model
+ * Hit counters for the MongoDB rate limit store, one document per key and window
+ */
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Remove expired windows automatically
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+export default RateLimit;
@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import config from '../config/config.js';
+
+/**
+ * Refresh Token Model
+ * Stores hashed, rotating refresh tokens. Every token issued from the same
+ * login belongs to one family (session); the family ID is embedded in access
+ * tokens so revoking a family also invalidates its access tokens.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Absolute end of the session: rotation never extends a token past it
+    familyExpiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['rotated', 'logout', 'reuse_detected', 'admin_revoked', 'password_reset', null],
+      default: null,
+    },
+    replacedByHash: {
+      type: String,
+      default: null,
+    },
+    createdByIp: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a raw refresh token for storage and lookup
+ */
+refreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Issue a new refresh token, starting a new family unless one is given
+ * Rotated tokens pass their family's familyExpiresAt so they expire with the session
+ * Returns the raw token (only ever sent to the client) and the stored document
+ */
+refreshTokenSchema.statics.issue = async function (userId, { family, familyExpiresAt, ip } = {}) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const now = Date.now();
+  const sessionEnd = familyExpiresAt || new Date(now + config.refreshTokenMaxSessionDays * DAY_MS);
+
+  const doc = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Math.min(now + config.refreshTokenExpiresDays * DAY_MS, sessionEnd)),
+    familyExpiresAt: sessionEnd,
+    createdByIp: ip,
+  });
+
+  return { token, doc };
+};
+
+/**
+ * Atomically mark an active token as rotated into replacedByHash
+ * Returns null when the token was already revoked (by a concurrent refresh or otherwise)
+ */
+refreshTokenSchema.statics.claim = function (id, replacedByHash) {
+  return this.findOneAndUpdate(
+    { _id: id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated', replacedByHash } }
+  );
+};
+
+/**
+ * Revoke every active token in a family
+ */
+refreshTokenSchema.statics.revokeFamily = function (family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Revoke every active token (all sessions) for a user
+ */
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Whether a session (family) still has an active, unexpired token
+ */
+refreshTokenSchema.statics.isSessionActive = async function (family) {
+  const active = await this.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(active);
+};
+
+refreshTokenSchema.methods.isExpired = function () {
+  return this.expiresAt <= new Date();
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+
+// Permissions that can be granted to roles, with what they allow
+export const PERMISSIONS = Object.freeze({
+  'task.read.any': "Read every user's tasks and trash",
+  'task.update.any': "Edit, delete and restore every user's tasks",
+  'task.reassign': 'Assign tasks to other users',
+  'project.read.any': 'Read every project',
+  'project.manage.any': 'Manage every project, its members and its tasks',
+  'tag.manage.any': "Use and manage every user's tags",
+  'audit.read': 'Read audit logs',
+  'user.manage': 'List, create, unlock and delete users and change their roles',
+  'role.manage': 'Define custom roles',
+  'webhook.manage': 'Register webhooks and view their deliveries',
+});
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+// Roles defined in code: they can be assigned like custom roles but not changed or deleted
+export const BUILT_IN_ROLES = Object.freeze({
+  user: {
+    description: 'Manages their own tasks and tags and the projects they are a member of',
+    permissions: [],
+  },
+  admin: {
+    description: 'Full access',
+    permissions: PERMISSION_NAMES,
+  },
+});
+
+// Role assigned to new accounts
+export const DEFAULT_ROLE = 'user';
+
+// Lowercase slugs such as "auditor" or "team-lead"
+export const ROLE_NAME_PATTERN = /^[a-z][a-z0-9-]{1,29}$/;
+
+const isBuiltIn = (name) => Object.hasOwn(BUILT_IN_ROLES, name);
+
+/**
+ * Role Model
+ * Custom roles defined by admins. Users reference roles by name, and their
+ * permissions are the union of the permissions of all their roles.
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [ROLE_NAME_PATTERN, 'Role name must be a lowercase slug of 2-30 characters'],
+      validate: [(name) => !isBuiltIn(name), 'Role name is reserved'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Role description cannot exceed 200 characters'],
+      default: '',
+    },
+    permissions: {
+      type: [String],
+      enum: PERMISSION_NAMES,
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+roleSchema.statics.isBuiltIn = isBuiltIn;
+
+/**
+ * Find a role (built-in or custom) by name as a plain object with a builtIn flag
+ */
+roleSchema.statics.findByName = async function (name) {
+  if (isBuiltIn(name)) {
+    return { name, ...BUILT_IN_ROLES[name], builtIn: true };
+  }
+
+  const role = await this.findOne({ name }).lean();
+  return role ? { ...role, builtIn: false } : null;
+};
+
+/**
+ * List built-in roles followed by custom roles
+ */
+roleSchema.statics.listAll = async function () {
+  const custom = await this.find({}).sort('name').lean();
+
+  return [
+    ...Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({ name, ...role, builtIn: true })),
+    ...custom.map((role) => ({ ...role, builtIn: false })),
+  ];
+};
+
+/**
+ * Names from a list that aren't defined roles
+ */
+roleSchema.statics.findUnknown = async function (names) {
+  const custom = names.filter((name) => !isBuiltIn(name));
+  if (custom.length === 0) {
+    return [];
+  }
+
+  const found = await this.find({ name: { $in: custom } }).distinct('name');
+  return custom.filter((name) => !found.includes(name));
+};
+
+/**
+ * Union of the permissions granted by a list of role names
+ * Unknown roles grant nothing
+ */
+roleSchema.statics.permissionsFor = async function (names = []) {
+  const permissions = new Set();
+  const custom = [];
+
+  names.forEach((name) => {
+    if (isBuiltIn(name)) {
+      BUILT_IN_ROLES[name].permissions.forEach((permission) => permissions.add(permission));
+    } else {
+      custom.push(name);
+    }
+  });
+
+  if (custom.length > 0) {
+    const roles = await this.find({ name: { $in: custom } })
+      .select('permissions')
+      .lean();
+    roles.forEach((role) => role.permissions.forEach((permission) => permissions.add(permission)));
+  }
+
+  return [...permissions];
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
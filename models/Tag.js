@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * Tag Model
+ * User-scoped labels that can be attached to tasks
+ */
+const tagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Tag name is required'],
+      trim: true,
+      maxlength: [50, 'Tag name cannot exceed 50 characters'],
+    },
+    color: {
+      type: String,
+      trim: true,
+      default: '#808080',
+      match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color like #ff8800'],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Tag owner is required'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Tag names are unique per user (case-insensitive)
+tagSchema.index({ owner: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+export default Tag;
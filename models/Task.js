@@ -1,5 +1,44 @@
 import mongoose from 'mongoose';
 import TaskHistory from './TaskHistory.js';
+import Comment from './Comment.js';
+import { FREQUENCIES } from '../utils/recurrence.js';
+import { getStorage, attachmentKey } from '../utils/storage.js';
+import { publishEvent } from '../utils/events.js';
+import logger from '../utils/logger.js';
+
+// Priority levels in ascending order of importance
+export const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Numeric rank stored alongside priority so it sorts by importance, not alphabetically
+const PRIORITY_RANKS = Object.fromEntries(PRIORITIES.map((priority, index) => [priority, index]));
+
+// Metadata of a file attached to a task; the file itself is in attachment storage
+// (see utils/storage.js) under attachmentKey(taskId, attachmentId)
+const attachmentSchema = new mongoose.Schema(
+  {
+    filename: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+// Recurrence rule (see utils/recurrence.js)
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: { type: String, enum: FREQUENCIES, required: true },
+    interval: { type: Number, min: 1, default: 1 },
+    byWeekday: { type: [Number], default: undefined },
+    byMonthDay: { type: Number, min: 1, max: 31 },
+    until: Date,
+    count: { type: Number, min: 1 },
+    startDate: { type: Date, required: true },
+    occurrence: { type: Number, min: 1, default: 1 },
+  },
+  { _id: false }
+);
 
 const taskSchema = new mongoose.Schema(
   {
@@ -23,22 +62,237 @@ const taskSchema = new mongoose.Schema(
       ref: 'User',
       required: [true, 'Task owner is required'],
     },
+    dueDate: {
+      type: Date,
+      default: null,
+    },
+    priority: {
+      type: String,
+      enum: {
+        values: PRIORITIES,
+        message: `Priority must be one of: ${PRIORITIES.join(', ')}`,
+      },
+      default: 'medium',
+    },
+    priorityRank: {
+      type: Number,
+      default: PRIORITY_RANKS.medium,
+      select: false,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      default: null,
+    },
+    // First task of a recurring series (shared by every occurrence)
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+      index: true,
+    },
+    // Shared project (list) the task belongs to
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    tags: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+      default: [],
+    },
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+    // Parent task when this task is a subtask (one level of nesting)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+      index: true,
+    },
+    // Occurrence generated when this one was completed
+    nextOccurrence: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+    },
+    // Soft delete: trashed tasks are hidden from queries until restored or purged
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Text index for full-text search over title and description
+taskSchema.index({ title: 'text', description: 'text' });
+
+// Supports per-owner listing and cursor pagination ordered by creation time
+taskSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+
+// Supports tag filtering
+taskSchema.index({ tags: 1 });
+
+// Supports listing a project's tasks
+taskSchema.index({ project: 1, createdAt: -1 });
+
+// Supports overdue and due-date range queries
+taskSchema.index({ owner: 1, completed: 1, dueDate: 1 });
+
+// Supports finding open tasks that are due soon (due reminders)
+taskSchema.index({ completed: 1, dueDate: 1 });
+
+// Supports trash listing and retention purge
+taskSchema.index({ deletedAt: 1 });
+
+// Exclude trashed tasks from queries unless the query sets { withDeleted: true }
+// or filters on deletedAt itself
+const excludeDeleted = function () {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+};
+
+taskSchema.pre(
+  [
+    'find',
+    'findOne',
+    'countDocuments',
+    'distinct',
+    'findOneAndUpdate',
+    'findOneAndDelete',
+    'updateOne',
+    'updateMany',
+    'deleteOne',
+    'deleteMany',
+  ],
+  excludeDeleted
+);
+
+// Aggregations opt out by starting with a $match on deletedAt
+taskSchema.pre('aggregate', function () {
+  const [firstStage] = this.pipeline();
+  if (firstStage?.$match?.deletedAt !== undefined) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+// Keep priorityRank in sync with priority
+taskSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('priority')) {
+    this.priorityRank = PRIORITY_RANKS[this.priority];
+  }
+  next();
+});
+
+taskSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  const update = this.getUpdate() || {};
+  const priority = update.$set?.priority ?? update.priority;
+  if (priority !== undefined && PRIORITY_RANKS[priority] !== undefined) {
+    this.set('priorityRank', PRIORITY_RANKS[priority]);
+  }
+});
+
 // Custom audit logging using Mongoose hooks
 // Track fields to audit
-const auditFields = ['title', 'description', 'completed', 'owner'];
+const auditFields = [
+  'title',
+  'description',
+  'completed',
+  'owner',
+  'dueDate',
+  'priority',
+  'completedAt',
+  'recurrence',
+  'project',
+  'tags',
+  'attachments',
+  'deletedAt',
+  'deletedBy',
+];
+
+// Normalize values so dates and ObjectIds compare by value rather than by reference
+const toComparable = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj || {}, key);
+
+// Write a TaskHistory entry (inside the caller's transaction when a session is given)
+const recordHistory = (modelId, changeType, logs, userContext, options) =>
+  TaskHistory.record(modelId, changeType, logs, userContext, options);
+
+// Summary of a subtask stored in its parent's audit trail
+const subtaskSummary = (doc) => ({ id: doc._id, title: doc.title });
+
+// Record a subtask change against its parent task
+// Field changes are logged as "subtasks.<subtaskId>.<field>"
+const recordParentHistory = async (doc, changeType, logs, userContext, session) => {
+  if (!doc.parent) return;
+
+  let parentLogs;
+  if (changeType === 'create' || changeType === 'restore') {
+    parentLogs = [{ field_name: 'subtasks', from_value: null, to_value: subtaskSummary(doc) }];
+  } else if (changeType === 'delete') {
+    parentLogs = [{ field_name: 'subtasks', from_value: subtaskSummary(doc), to_value: null }];
+  } else {
+    parentLogs = logs.map((log) => ({
+      field_name: `subtasks.${doc._id}.${log.field_name}`,
+      from_value: log.from_value,
+      to_value: log.to_value,
+    }));
+  }
+
+  if (parentLogs.length > 0) {
+    await recordHistory(doc.parent, 'update', parentLogs, userContext, { session });
+  }
+};
+
+// Domain event published for each recorded change type (purges are not published)
+const CHANGE_EVENTS = {
+  create: 'task.created',
+  update: 'task.updated',
+  revert: 'task.updated',
+  delete: 'task.deleted',
+  restore: 'task.restored',
+};
+
+// Publish the events for a recorded change (after the caller's transaction commits)
+const publishTaskEvents = (doc, changeType, logs, userContext, session) => {
+  const data = {
+    task: doc.toObject({ depopulate: true }),
+    changes: logs,
+    actor: userContext,
+  };
+
+  publishEvent(CHANGE_EVENTS[changeType], data, { session });
+
+  if (logs.some((log) => log.field_name === 'completed' && log.to_value === true)) {
+    publishEvent('task.completed', data, { session });
+  }
+};
 
 // Helper function to get changed fields for create
 const getChangedFieldsForCreate = function (doc) {
   const logs = [];
   // For create, log all initial values
   auditFields.forEach((field) => {
-    if (doc[field] !== undefined) {
+    if (doc[field] !== undefined && doc[field] !== null) {
       logs.push({
         field_name: field,
         from_value: null,
@@ -50,50 +304,62 @@ const getChangedFieldsForCreate = function (doc) {
 };
 
 // Helper function to get changed fields for update (save hook)
-const getChangedFieldsForUpdate = function (doc) {
+const getChangedFieldsForUpdate = function (doc, originalDoc) {
   const logs = [];
-  // For update using save(), compare modified paths
+  // For update using save(), compare modified paths against the stored document
   auditFields.forEach((field) => {
     if (doc.isModified(field)) {
-      const originalValue = doc.get(field, null, { getters: false });
-      const newValue = doc[field];
-      logs.push({
-        field_name: field,
-        from_value: originalValue,
-        to_value: newValue,
-      });
+      const originalValue = originalDoc?.[field] ?? null;
+      const newValue = doc[field] ?? null;
+      if (toComparable(originalValue) !== toComparable(newValue)) {
+        logs.push({
+          field_name: field,
+          from_value: originalValue,
+          to_value: newValue,
+        });
+      }
     }
   });
   return logs;
 };
 
+// Pre-save hook to capture the change set
+// (isNew and modified paths are already reset when post-save hooks run)
+taskSchema.pre('save', async function () {
+  this.$locals.wasNew = this.isNew;
+
+  if (this.isNew) {
+    this.$locals.auditLogs = getChangedFieldsForCreate(this);
+    return;
+  }
+
+  const hasAuditedChanges = auditFields.some((field) => this.isModified(field));
+  const originalDoc = hasAuditedChanges
+    ? await this.constructor
+        .findById(this._id)
+        .setOptions({ withDeleted: true })
+        .session(this.$session())
+        .lean()
+    : null;
+  this.$locals.auditLogs = hasAuditedChanges ? getChangedFieldsForUpdate(this, originalDoc) : [];
+});
+
 // Post-save hook for create and update
 taskSchema.post('save', async function (doc, next) {
   try {
     // Get user context from document locals (set in controller)
     const userContext = doc.$locals?.auditUser || null;
-    
-    const changeType = doc.isNew ? 'create' : 'update';
-    const logs =
-      changeType === 'create'
-        ? getChangedFieldsForCreate(doc)
-        : getChangedFieldsForUpdate(doc);
+
+    const changeType = doc.$locals?.wasNew ? 'create' : 'update';
+    const logs = doc.$locals?.auditLogs || [];
+    const session = doc.$session();
+    // Extra history entry fields (e.g. import_id)
+    const extra = doc.$locals?.auditExtra;
 
     if (logs.length > 0 || changeType === 'create') {
-      await TaskHistory.create({
-        model: 'Task',
-        model_id: doc._id,
-        change_type: changeType,
-        logs: logs,
-        created_by: userContext
-          ? {
-              id: userContext.id,
-              name: userContext.name,
-              role: userContext.role,
-            }
-          : null,
-        created_at: new Date(),
-      });
+      await recordHistory(doc._id, changeType, logs, userContext, { session, extra });
+      await recordParentHistory(doc, changeType, logs, userContext, session);
+      publishTaskEvents(doc, changeType, logs, userContext, session);
     }
   } catch (error) {
     // Log error but don't fail the operation
@@ -104,8 +370,14 @@ taskSchema.post('save', async function (doc, next) {
 
 // Pre-update hook to store original document for comparison
 taskSchema.pre(['findOneAndUpdate', 'findOneAndReplace'], async function () {
+  // The post hook compares against the updated document
+  this.setOptions({ new: true });
+
   // Store original document in query for later comparison
-  this._originalDoc = await this.model.findOne(this.getQuery());
+  this._originalDoc = await this.model
+    .findOne(this.getQuery())
+    .setOptions({ withDeleted: true })
+    .session(this.getOptions().session || null);
 });
 
 // Post-update hook for findByIdAndUpdate and similar methods
@@ -124,42 +396,30 @@ taskSchema.post(['findOneAndUpdate', 'findOneAndReplace'], async function (doc,
     const update = this.getUpdate();
     const logs = [];
 
-    // Compare updated fields
+    // Compare fields present in the update against the original document
     auditFields.forEach((field) => {
+      if (!hasOwn(update, field) && !hasOwn(update.$set, field)) return;
+
       const oldValue = originalDoc[field];
-      // Check update object for the new value
-      const newValue =
-        update.$set?.[field] !== undefined
-          ? update.$set[field]
-          : update[field] !== undefined
-            ? update[field]
-            : doc[field];
+      const newValue = doc[field];
 
       // Only log if value actually changed
-      if (oldValue !== newValue && newValue !== undefined) {
+      if (toComparable(oldValue) !== toComparable(newValue)) {
         logs.push({
           field_name: field,
-          from_value: oldValue,
-          to_value: newValue,
+          from_value: oldValue ?? null,
+          to_value: newValue ?? null,
         });
       }
     });
 
     if (logs.length > 0) {
-      await TaskHistory.create({
-        model: 'Task',
-        model_id: doc._id,
-        change_type: 'update',
-        logs: logs,
-        created_by: userContext
-          ? {
-              id: userContext.id,
-              name: userContext.name,
-              role: userContext.role,
-            }
-          : null,
-        created_at: new Date(),
-      });
+      // Soft delete, restore and revert are updates recorded with their own change type
+      const { auditChangeType, auditExtra, session } = this.getOptions();
+      const changeType = auditChangeType || 'update';
+      await recordHistory(doc._id, changeType, logs, userContext, { session, extra: auditExtra });
+      await recordParentHistory(originalDoc, changeType, logs, userContext, session);
+      publishTaskEvents(doc, changeType, logs, userContext, session);
     }
   } catch (error) {
     console.error('Error creating audit log:', error);
@@ -170,7 +430,10 @@ taskSchema.post(['findOneAndUpdate', 'findOneAndReplace'], async function (doc,
 // Pre-delete hook to capture document before deletion
 taskSchema.pre(['findOneAndDelete', 'findOneAndRemove'], async function () {
   // Store original document before deletion
-  this._deletedDoc = await this.model.findOne(this.getQuery());
+  this._deletedDoc = await this.model
+    .findOne(this.getQuery())
+    .setOptions({ withDeleted: true })
+    .session(this.getOptions().session || null);
 });
 
 // Post-delete hook
@@ -178,39 +441,99 @@ taskSchema.post(['findOneAndDelete', 'findOneAndRemove'], async function (doc, n
   try {
     // Get user context from query options
     const userContext = this.getOptions()?.auditUser || null;
+    const session = this.getOptions()?.session;
 
     // Get the document that was deleted (stored in pre hook)
     const deletedDoc = this._deletedDoc || doc;
-    
+
     if (!deletedDoc) return next();
 
     // Create audit log for deletion
-    await TaskHistory.create({
-      model: 'Task',
-      model_id: deletedDoc._id,
-      change_type: 'delete',
-      logs: [
+    await recordHistory(
+      deletedDoc._id,
+      'delete',
+      [
         {
           field_name: 'status',
-          from_value: 'active',
-          to_value: 'deleted',
+          from_value: deletedDoc.deletedAt ? 'trashed' : 'active',
+          to_value: deletedDoc.deletedAt ? 'purged' : 'deleted',
         },
       ],
-      created_by: userContext
-        ? {
-            id: userContext.id,
-            name: userContext.name,
-            role: userContext.role,
-          }
-        : null,
-      created_at: new Date(),
-    });
+      userContext,
+      { session }
+    );
+    await recordParentHistory(deletedDoc, 'delete', [], userContext, session);
   } catch (error) {
     console.error('Error creating audit log:', error);
   }
   next();
 });
 
+// Move a task and its subtasks to the trash
+// Returns the number of subtasks trashed along with it
+taskSchema.statics.softDelete = async function (taskId, auditUser, { session } = {}) {
+  const update = { deletedAt: new Date(), deletedBy: auditUser?.id || null };
+  const options = { auditUser, auditChangeType: 'delete', session };
+
+  const subtasks = await this.find({ parent: taskId }, '_id', { session });
+  for (const subtask of subtasks) {
+    await this.findByIdAndUpdate(subtask._id, update, options);
+  }
+
+  await this.findByIdAndUpdate(taskId, update, options);
+  return subtasks.length;
+};
+
+// Restore a trashed task and the subtasks that were trashed with it
+taskSchema.statics.restoreFromTrash = async function (task, auditUser, { session } = {}) {
+  const update = { deletedAt: null, deletedBy: null };
+  const options = { new: true, withDeleted: true, auditUser, auditChangeType: 'restore', session };
+
+  const subtasks = await this.find({ parent: task._id, deletedAt: task.deletedAt }, '_id', {
+    session,
+  });
+  for (const subtask of subtasks) {
+    await this.findByIdAndUpdate(subtask._id, update, options);
+  }
+
+  return this.findByIdAndUpdate(task._id, update, options);
+};
+
+// Permanently delete a task and its subtasks (including trashed ones)
+taskSchema.statics.purge = async function (taskId, auditUser, { session } = {}) {
+  const options = { withDeleted: true, auditUser, session };
+
+  const tasks = await this.find({ $or: [{ _id: taskId }, { parent: taskId }] }, '_id attachments', {
+    withDeleted: true,
+    session,
+  });
+  const subtasks = tasks.filter((task) => !task._id.equals(taskId));
+  for (const subtask of subtasks) {
+    await this.findByIdAndDelete(subtask._id, options);
+  }
+
+  await this.findByIdAndDelete(taskId, options);
+
+  // Comments go with the task; their removal is covered by the task's delete entry
+  await Comment.deleteMany({ task: { $in: tasks.map((task) => task._id) } }, { session });
+
+  // Attachment files go with the task; a failed removal only leaves an orphaned file
+  for (const task of tasks) {
+    for (const attachment of task.attachments) {
+      await getStorage()
+        .delete(attachmentKey(task._id, attachment._id))
+        .catch((error) => {
+          logger.error({
+            message: 'Failed to delete attachment file',
+            taskId: task._id,
+            attachmentId: attachment._id,
+            error: error.message,
+          });
+        });
+    }
+  }
+};
+
 const Task = mongoose.model('Task', taskSchema);
 
 export default Task;
@@ -1,4 +1,8 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import AuditChainHead from './AuditChainHead.js';
+
+export const CHANGE_TYPES = ['create', 'update', 'delete', 'restore', 'revert'];
 
 /**
  * Task History Model for Audit Logs
@@ -8,7 +12,11 @@ const taskHistorySchema = new mongoose.Schema(
   {
     model: { type: String, required: true },
     model_id: { type: mongoose.Schema.Types.ObjectId, required: true },
-    change_type: { type: String, enum: ['create', 'update', 'delete'], required: true },
+    change_type: {
+      type: String,
+      enum: CHANGE_TYPES,
+      required: true,
+    },
     logs: [
       {
         field_name: String,
@@ -22,6 +30,16 @@ const taskHistorySchema = new mongoose.Schema(
       role: String,
     },
     created_at: { type: Date, default: Date.now },
+    // History entry a revert rolled the task back to
+    reverted_to: { type: mongoose.Schema.Types.ObjectId, default: undefined },
+    // Import that created the task
+    import_id: { type: mongoose.Schema.Types.ObjectId, default: undefined },
+    // Hash chain: entries for a document are numbered from 1 and each one's hash
+    // covers its content and the previous entry's hash; the latest entry is also
+    // recorded as the chain's head (see AuditChainHead and verifyChain)
+    seq: { type: Number, default: undefined },
+    prev_hash: { type: String, default: undefined },
+    hash: { type: String, default: undefined },
   },
   {
     collection: 'task_histories',
@@ -29,6 +47,320 @@ const taskHistorySchema = new mongoose.Schema(
   }
 );
 
+// Supports newest-first listing and cursor pagination
+taskHistorySchema.index({ created_at: -1, _id: -1 });
+taskHistorySchema.index({ model_id: 1, created_at: -1 });
+
+// One entry per position in a document's chain (entries from before the chain have no seq)
+taskHistorySchema.index(
+  { model: 1, model_id: 1, seq: 1 },
+  { unique: true, partialFilterExpression: { seq: { $exists: true } } }
+);
+
+// Supports walking chains in order, unchained entries included (verifyChain)
+taskHistorySchema.index({ model: 1, model_id: 1, seq: 1, _id: 1 });
+
+// Status values written by hard deletes and purges
+const REMOVED_STATUSES = ['deleted', 'purged'];
+
+// Fields logging changes to child records (subtasks, comments) rather than the task itself
+const CHILD_FIELDS = ['subtasks', 'comments'];
+
+const isChildField = (fieldName) =>
+  CHILD_FIELDS.some((field) => fieldName === field || fieldName.startsWith(`${field}.`));
+
+// Build the created_by block from the audit user context
+const toCreatedBy = (userContext) =>
+  userContext
+    ? {
+        id: userContext.id,
+        name: userContext.name,
+        role: userContext.role,
+      }
+    : null;
+
+// Attempts at appending to a chain when another entry takes the same position
+const MAX_APPEND_ATTEMPTS = 5;
+
+const isMissing = (value) => value === null || value === undefined;
+
+// Stable form of an entry's stored values for hashing: object keys sorted, dates and IDs
+// tagged with their type, and empty values dropped as they are when stored
+const canonicalize = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toHexString() };
+  if (Array.isArray(value)) {
+    return value.map((item) => (isMissing(item) ? null : canonicalize(item)));
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => [key, isMissing(value[key]) ? undefined : canonicalize(value[key])])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value;
+};
+
+/**
+ * Hash of an entry (a plain object) covering every stored field but the hash itself
+ */
+export const hashEntry = (entry) => {
+  const content = { ...entry };
+  delete content.hash;
+  delete content.__v;
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(canonicalize(content)))
+    .digest('hex');
+};
+
+/**
+ * Write a history entry for a task (inside the caller's transaction when a session is given)
+ * extra holds additional entry fields such as reverted_to or import_id
+ * The entry is appended to the task's hash chain.
+ */
+taskHistorySchema.statics.record = async function (
+  modelId,
+  changeType,
+  logs,
+  userContext,
+  { session, extra } = {}
+) {
+  for (let attempt = 1; ; attempt += 1) {
+    const previous = await this.findOne({
+      model: 'Task',
+      model_id: modelId,
+      seq: { $exists: true },
+    })
+      .sort({ seq: -1 })
+      .select('seq hash')
+      .session(session || null);
+
+    const entry = new this({
+      model: 'Task',
+      model_id: modelId,
+      change_type: changeType,
+      logs: logs,
+      created_by: toCreatedBy(userContext),
+      created_at: new Date(),
+      ...extra,
+      seq: previous ? previous.seq + 1 : 1,
+      prev_hash: previous ? previous.hash : null,
+    });
+    entry.hash = hashEntry(entry.toObject({ depopulate: true }));
+
+    try {
+      await entry.save({ session });
+    } catch (error) {
+      // Another entry took this position first; a transaction is retried as a whole instead
+      if (error.code !== 11000 || session || attempt === MAX_APPEND_ATTEMPTS) throw error;
+      continue;
+    }
+
+    await AuditChainHead.advance(entry, { session });
+    return entry;
+  }
+};
+
+// Issues reported per verification, beyond which they are only counted
+const MAX_CHAIN_ISSUES = 100;
+
+/**
+ * Check the hash chains of a task's entries (modelId), or of a page of tasks: up to limit
+ * tasks with a chain head, in ID order after the task ID given as after
+ * Detects modified entries (hash mismatch), removed or inserted entries (sequence gaps,
+ * broken links and chains ending before their head) and chained entries stripped of their
+ * chain fields. Entries written before chaining was introduced are counted as unchained.
+ */
+taskHistorySchema.statics.verifyChain = async function ({ modelId, after, limit = 100 } = {}) {
+  const report = { valid: true, entities: 0, checked: 0, unchained: 0, issueCount: 0, issues: [] };
+  const addIssue = ({ model, modelId: id, entryId = null, seq = null }, problem, message) => {
+    report.valid = false;
+    report.issueCount += 1;
+    if (report.issues.length < MAX_CHAIN_ISSUES) {
+      report.issues.push({ model, modelId: id, entryId, seq, problem, message });
+    }
+  };
+  const addEntryIssue = (entry, problem, message) =>
+    addIssue(
+      { model: entry.model, modelId: entry.model_id, entryId: entry._id, seq: entry.seq ?? null },
+      problem,
+      message
+    );
+
+  let query;
+  let heads;
+  if (modelId) {
+    query = { model_id: modelId };
+    heads = await AuditChainHead.find({ model_id: modelId }).lean();
+  } else {
+    // Page through the chains by their heads, so each request checks a bounded set of tasks
+    const page = await AuditChainHead.find({
+      model: 'Task',
+      ...(after && { model_id: { $gt: after } }),
+    })
+      .sort({ model: 1, model_id: 1 })
+      .limit(limit + 1)
+      .lean();
+    const hasMore = page.length > limit;
+    heads = hasMore ? page.slice(0, limit) : page;
+
+    query = { model: 'Task', model_id: { $in: heads.map((head) => head.model_id) } };
+    report.pagination = {
+      limit,
+      hasMore,
+      nextAfter: hasMore ? heads[heads.length - 1].model_id : null,
+    };
+  }
+
+  const headKey = (model, id) => `${model}:${id}`;
+  const unvisitedHeads = new Map(heads.map((head) => [headKey(head.model, head.model_id), head]));
+
+  // A chain must end at its head: a head further along means the latest entries are gone
+  const checkHead = (model, id, last) => {
+    const head = unvisitedHeads.get(headKey(model, id));
+    unvisitedHeads.delete(headKey(model, id));
+
+    if (!last) {
+      if (head) {
+        addIssue(
+          { model, modelId: id, seq: head.seq },
+          'truncated',
+          'Every chained entry is missing'
+        );
+      }
+      return;
+    }
+
+    if (!head) {
+      addEntryIssue(last, 'missing_head', 'Chain has no recorded head');
+    } else if (head.seq > last.seq) {
+      addIssue(
+        { model, modelId: id, seq: head.seq },
+        'truncated',
+        `Entries after entry ${last.seq} are missing (the chain head is entry ${head.seq})`
+      );
+    } else if (head.seq !== last.seq || head.hash !== last.hash) {
+      addEntryIssue(last, 'head_mismatch', 'Chain does not end at its recorded head');
+    }
+  };
+
+  // Entries without seq sort first within each document
+  const cursor = this.find(query).sort({ model: 1, model_id: 1, seq: 1, _id: 1 }).lean().cursor();
+
+  let entity = null;
+  let previous = null;
+  let unchained = [];
+
+  for await (const entry of cursor) {
+    const key = headKey(entry.model, entry.model_id);
+    if (key !== entity?.key) {
+      if (entity) checkHead(entity.model, entity.model_id, previous);
+      entity = { key, model: entry.model, model_id: entry.model_id };
+      previous = null;
+      unchained = [];
+      report.entities += 1;
+    }
+    report.checked += 1;
+
+    if (isMissing(entry.seq)) {
+      report.unchained += 1;
+      unchained.push(entry);
+      continue;
+    }
+
+    // Unchained entries can only predate a document's chain
+    if (!previous) {
+      unchained
+        .filter((legacy) => legacy.created_at > entry.created_at)
+        .forEach((legacy) =>
+          addEntryIssue(legacy, 'unchained', 'Entry is missing its chain fields')
+        );
+    }
+
+    if (hashEntry(entry) !== entry.hash) {
+      addEntryIssue(entry, 'modified', 'Entry content does not match its hash');
+    }
+
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    if (entry.seq !== expectedSeq) {
+      addEntryIssue(entry, 'gap', `Expected entry ${expectedSeq} but found entry ${entry.seq}`);
+    } else if (entry.prev_hash !== (previous ? previous.hash : null)) {
+      addEntryIssue(entry, 'broken_link', 'Entry does not link to the previous entry');
+    }
+
+    previous = entry;
+  }
+  if (entity) checkHead(entity.model, entity.model_id, previous);
+
+  // Chains whose entries are all gone
+  [...unvisitedHeads.values()].forEach((head) => {
+    report.entities += 1;
+    checkHead(head.model, head.model_id, null);
+  });
+
+  report.truncated = report.issueCount > report.issues.length;
+  return report;
+};
+
+/**
+ * Rebuild a document's state by replaying its history entries in order
+ * Pass either `at` (a date) or `upToEntry` (a history entry, inclusive).
+ * Returns null when the document had no history at that point.
+ */
+taskHistorySchema.statics.reconstructState = async function (modelId, { at, upToEntry } = {}) {
+  const query = { model_id: modelId };
+
+  if (upToEntry) {
+    query.$or = [
+      { created_at: { $lt: upToEntry.created_at } },
+      { created_at: upToEntry.created_at, _id: { $lte: upToEntry._id } },
+    ];
+  } else if (at) {
+    query.created_at = { $lte: at };
+  }
+
+  const entries = await this.find(query).sort({ created_at: 1, _id: 1 }).lean();
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const state = { _id: modelId };
+  let removed = false;
+
+  entries.forEach((entry) => {
+    if (entry.change_type === 'create') {
+      state.createdAt = entry.created_at;
+    }
+
+    entry.logs.forEach((log) => {
+      // Synthetic status entries mark hard deletes; subtask and comment entries belong to children
+      if (log.field_name === 'status') {
+        removed = REMOVED_STATUSES.includes(log.to_value);
+        return;
+      }
+      if (isChildField(log.field_name)) {
+        return;
+      }
+
+      state[log.field_name] = log.to_value;
+    });
+
+    state.updatedAt = entry.created_at;
+  });
+
+  return {
+    state,
+    removed,
+    trashed: Boolean(state.deletedAt),
+    entriesApplied: entries.length,
+    lastEntryId: entries[entries.length - 1]._id,
+  };
+};
+
 // Create model if it doesn't exist
 const TaskHistory =
   mongoose.models.TaskHistory || mongoose.model('TaskHistory', taskHistorySchema);
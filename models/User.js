@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import Role, { DEFAULT_ROLE } from './Role.js';
+
+// Allowed range for notificationPreferences.reminderLeadMinutes (5 minutes to 7 days)
+export const REMINDER_LEAD_MINUTES = Object.freeze({ min: 5, max: 7 * 24 * 60 });
 
 const userSchema = new mongoose.Schema(
   {
@@ -16,10 +21,58 @@ const userSchema = new mongoose.Schema(
       required: [true, 'Password is required'],
       select: false, // Don't return password by default
     },
+    // Names of built-in or custom roles (see Role model)
     roles: {
       type: [String],
-      default: ['user'],
-      enum: ['user', 'admin'],
+      default: [DEFAULT_ROLE],
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Single-use tokens are stored hashed; the raw token is only emailed
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Brute-force protection: consecutive failed logins and the current lockout
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    // Which in-app notifications the user receives
+    notificationPreferences: {
+      taskAssigned: { type: Boolean, default: true },
+      taskChanged: { type: Boolean, default: true },
+      mentions: { type: Boolean, default: true },
+      dueReminders: { type: Boolean, default: true },
+      // How long before a task's due time its reminder is sent
+      reminderLeadMinutes: {
+        type: Number,
+        default: 60,
+        min: [REMINDER_LEAD_MINUTES.min, 'Reminder lead time is too short'],
+        max: [REMINDER_LEAD_MINUTES.max, 'Reminder lead time is too long'],
+      },
     },
   },
   {
@@ -43,6 +96,87 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.passwordHash);
 };
 
+// Hash a raw email/reset token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+userSchema.statics.hashToken = hashToken;
+
+// Instance method to create a password reset token (returns the raw token)
+userSchema.methods.createPasswordResetToken = function (expiresInMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+// Instance method to create an email verification token (returns the raw token)
+userSchema.methods.createEmailVerificationToken = function (expiresInHours) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  return token;
+};
+
+// Instance method to check whether the account is locked after failed logins
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+// Instance method to record a failed login (returns the lock expiry when it locks the account)
+// The account is locked after maxAttempts failures in a row; every lockout lasts twice as long
+// as the previous one, up to maxLockMinutes
+userSchema.methods.registerFailedLogin = async function ({
+  maxAttempts,
+  baseLockMinutes,
+  maxLockMinutes,
+}) {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < maxAttempts) {
+    return null;
+  }
+
+  const lockMinutes = Math.min(baseLockMinutes * 2 ** updated.lockCount, maxLockMinutes);
+  const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0, lockUntil }, $inc: { lockCount: 1 } }
+  );
+
+  this.lockUntil = lockUntil;
+  this.lockCount = updated.lockCount + 1;
+  return lockUntil;
+};
+
+// Instance method to clear failed logins and any lockout
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = null;
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0, lockCount: 0, lockUntil: null } }
+  );
+};
+
+// Instance method to resolve the user's permissions from their roles
+// Called by the authenticate middleware so hasPermission can be checked synchronously
+userSchema.methods.loadPermissions = async function () {
+  this.$locals.permissions = await Role.permissionsFor(this.roles);
+  return this.$locals.permissions;
+};
+
+// Instance method to check a permission loaded by loadPermissions
+userSchema.methods.hasPermission = function (permission) {
+  return Boolean(this.$locals.permissions?.includes(permission));
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { EVENT_TYPES } from '../utils/events.js';
+
+// Events a webhook can subscribe to ("ping" test events are sent on request only)
+export const WEBHOOK_EVENTS = EVENT_TYPES;
+
+/**
+ * Webhook Model
+ * An endpoint that receives signed POSTs for the events it subscribes to.
+ * The signing secret is shown once, when the webhook is created.
+ */
+const webhookSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, 'Webhook URL is required'],
+      trim: true,
+      match: [/^https?:\/\//i, 'Webhook URL must use http or https'],
+      maxlength: [2000, 'Webhook URL cannot exceed 2000 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Webhook description cannot exceed 200 characters'],
+      default: '',
+    },
+    events: {
+      type: [String],
+      enum: WEBHOOK_EVENTS,
+      validate: [(events) => events.length > 0, 'Webhook needs at least one event'],
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+    lastDeliveryStatus: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Supports finding the subscribers of an event
+webhookSchema.index({ active: 1, events: 1 });
+
+/**
+ * Generate a signing secret
+ */
+webhookSchema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+export default Webhook;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * Webhook Delivery Model
+ * One event queued for one webhook. Pending deliveries are sent by the delivery
+ * job and retried with exponential backoff until they succeed or run out of
+ * attempts. Deliveries are kept as the webhook's delivery log, then expire.
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // Request body sent to the webhook
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'pending',
+    },
+    maxAttempts: {
+      type: Number,
+      default: () => config.webhooks.maxAttempts,
+    },
+    // When the delivery is next due (pushed forward while an attempt is in progress)
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    attempts: [
+      {
+        attemptedAt: Date,
+        responseStatus: Number,
+        // Start of the response body, to help debug failing endpoints
+        responseBody: String,
+        error: String,
+        durationMs: Number,
+        _id: false,
+      },
+    ],
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Supports claiming due deliveries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Supports a webhook's delivery log
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Delivery logs are removed automatically after the retention period
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.webhooks.deliveryRetentionDays * 24 * 60 * 60 }
+);
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
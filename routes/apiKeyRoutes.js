@@ -0,0 +1,20 @@
+import express from 'express';
+import { getApiKeys, createApiKey, revokeApiKey } from '../controllers/apiKeyController.js';
+import { authenticate, requireSession } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { emptySchema } from '../validators/common.js';
+import { createApiKeySchema, apiKeyIdSchema } from '../validators/apiKeyValidators.js';
+
+const router = express.Router();
+
+// API keys are managed by signed-in users only (a key can't create or revoke keys)
+router.use(authenticate);
+router.use(requireSession);
+
+router
+  .route('/')
+  .get(validate(emptySchema), getApiKeys)
+  .post(validate(createApiKeySchema), createApiKey);
+router.delete('/:id', validate(apiKeyIdSchema), revokeApiKey);
+
+export default router;
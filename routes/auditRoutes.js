@@ -1,16 +1,34 @@
 import express from 'express';
-import { getAuditLogs, getTaskAuditLogs } from '../controllers/auditController.js';
-import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/rbac.js';
+import {
+  getAuditLogs,
+  getTaskAuditLogs,
+  getTaskStateAt,
+  exportAuditLogs,
+  verifyAuditLogs,
+} from '../controllers/auditController.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/rbac.js';
+import { validate } from '../middleware/validate.js';
+import {
+  getAuditLogsSchema,
+  taskAuditLogsSchema,
+  taskStateAtSchema,
+  exportAuditLogsSchema,
+  verifyAuditLogsSchema,
+} from '../validators/auditValidators.js';
 
 const router = express.Router();
 
-// All audit routes require authentication and admin role
+// All audit routes require authentication and the audit.read permission
 router.use(authenticate);
-router.use(requireAdmin);
+router.use(requireScope('audit:read'));
+router.use(requirePermission('audit.read'));
 
-router.get('/', getAuditLogs);
-router.get('/task/:taskId', getTaskAuditLogs);
+router.get('/', validate(getAuditLogsSchema), getAuditLogs);
+router.get('/export', validate(exportAuditLogsSchema), exportAuditLogs);
+router.get('/verify', validate(verifyAuditLogsSchema), verifyAuditLogs);
+router.get('/task/:taskId', validate(taskAuditLogsSchema), getTaskAuditLogs);
+router.get('/task/:taskId/at', validate(taskStateAtSchema), getTaskStateAt);
 
 export default router;
 
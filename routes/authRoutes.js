@@ -1,10 +1,49 @@
 import express from 'express';
-import { signup, login } from '../controllers/authController.js';
+import {
+  signup,
+  login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+} from '../controllers/authController.js';
+import { authIpLimiter, authAccountLimiter } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import {
+  signupSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+} from '../validators/authValidators.js';
 
 const router = express.Router();
 
-router.post('/signup', signup);
-router.post('/login', login);
+// Credential endpoints are rate limited per IP; login and emails also per account
+router.post('/signup', authIpLimiter, validate(signupSchema), signup);
+router.post('/login', authIpLimiter, authAccountLimiter, validate(loginSchema), login);
+router.post('/refresh', validate(refreshTokenSchema), refresh);
+router.post('/logout', validate(refreshTokenSchema), logout);
+router.post(
+  '/forgot-password',
+  authIpLimiter,
+  authAccountLimiter,
+  validate(forgotPasswordSchema),
+  forgotPassword
+);
+router.post('/reset-password', authIpLimiter, validate(resetPasswordSchema), resetPassword);
+router.post('/verify-email', authIpLimiter, validate(verifyEmailSchema), verifyEmail);
+router.post(
+  '/resend-verification',
+  authIpLimiter,
+  authAccountLimiter,
+  validate(resendVerificationSchema),
+  resendVerification
+);
 
 export default router;
 
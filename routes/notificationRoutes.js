@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from '../controllers/notificationController.js';
+import { authenticate, requireSession } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { emptySchema } from '../validators/common.js';
+import {
+  getNotificationsSchema,
+  notificationIdSchema,
+  updatePreferencesSchema,
+} from '../validators/notificationValidators.js';
+
+const router = express.Router();
+
+// Notifications belong to signed-in users (API keys have no notification scope)
+router.use(authenticate);
+router.use(requireSession);
+
+router.get('/', validate(getNotificationsSchema), getNotifications);
+router.get('/unread-count', validate(emptySchema), getUnreadCount);
+router.post('/read-all', validate(emptySchema), markAllNotificationsRead);
+router
+  .route('/preferences')
+  .get(validate(emptySchema), getNotificationPreferences)
+  .put(validate(updatePreferencesSchema), updateNotificationPreferences);
+router.post('/:id/read', validate(notificationIdSchema), markNotificationRead);
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  addProjectMember,
+  updateProjectMember,
+  removeProjectMember,
+} from '../controllers/projectController.js';
+import { authenticate, requireResourceScope } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { emptySchema } from '../validators/common.js';
+import {
+  createProjectSchema,
+  updateProjectSchema,
+  projectIdSchema,
+  addMemberSchema,
+  updateMemberSchema,
+  memberSchema,
+} from '../validators/projectValidators.js';
+
+const router = express.Router();
+
+// All project routes require authentication (API keys need projects:read / projects:write)
+router.use(authenticate);
+router.use(requireResourceScope('projects'));
+
+router
+  .route('/')
+  .get(validate(emptySchema), getProjects)
+  .post(validate(createProjectSchema), createProject);
+router
+  .route('/:id')
+  .get(validate(projectIdSchema), getProject)
+  .put(validate(updateProjectSchema), updateProject)
+  .delete(validate(projectIdSchema), deleteProject);
+router.route('/:id/members').post(validate(addMemberSchema), addProjectMember);
+router
+  .route('/:id/members/:userId')
+  .put(validate(updateMemberSchema), updateProjectMember)
+  .delete(validate(memberSchema), removeProjectMember);
+
+export default router;
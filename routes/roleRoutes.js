@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+} from '../controllers/roleController.js';
+import { authenticate, requireSession } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/rbac.js';
+import { validate } from '../middleware/validate.js';
+import { emptySchema } from '../validators/common.js';
+import {
+  createRoleSchema,
+  updateRoleSchema,
+  roleNameSchema,
+} from '../validators/roleValidators.js';
+
+const router = express.Router();
+
+// All role routes require authentication and the role.manage permission
+router.use(authenticate);
+router.use(requireSession);
+router.use(requirePermission('role.manage'));
+
+router.route('/').get(validate(emptySchema), getRoles).post(validate(createRoleSchema), createRole);
+router
+  .route('/:name')
+  .get(validate(roleNameSchema), getRole)
+  .put(validate(updateRoleSchema), updateRole)
+  .delete(validate(roleNameSchema), deleteRole);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  mergeTag,
+} from '../controllers/tagController.js';
+import { authenticate, requireResourceScope } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { emptySchema } from '../validators/common.js';
+import {
+  createTagSchema,
+  updateTagSchema,
+  tagIdSchema,
+  mergeTagSchema,
+} from '../validators/tagValidators.js';
+
+const router = express.Router();
+
+// All tag routes require authentication (API keys need tags:read / tags:write)
+router.use(authenticate);
+router.use(requireResourceScope('tags'));
+
+router.route('/').get(validate(emptySchema), getTags).post(validate(createTagSchema), createTag);
+router
+  .route('/:id')
+  .put(validate(updateTagSchema), updateTag)
+  .delete(validate(tagIdSchema), deleteTag);
+router.post('/:id/merge', validate(mergeTagSchema), mergeTag);
+
+export default router;
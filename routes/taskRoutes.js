@@ -5,16 +5,112 @@ import {
   createTask,
   updateTask,
   deleteTask,
+  getTaskOccurrences,
+  getSubtasks,
+  createSubtask,
+  getTrash,
+  restoreTask,
+  purgeTask,
+  revertTask,
+  bulkTasks,
+  exportTasks,
+  importTasks,
+  getTaskStats,
 } from '../controllers/taskController.js';
-import { authenticate } from '../middleware/auth.js';
+import {
+  getComments,
+  getComment,
+  createComment,
+  updateComment,
+  deleteComment,
+} from '../controllers/commentController.js';
+import { streamTaskEvents } from '../controllers/taskEventController.js';
+import {
+  getAttachments,
+  authorizeUpload,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+} from '../controllers/attachmentController.js';
+import { authenticate, requireResourceScope } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { uploadSingle } from '../middleware/upload.js';
+import config from '../config/config.js';
+import {
+  getTasksSchema,
+  taskIdSchema,
+  createTaskSchema,
+  updateTaskSchema,
+  getTrashSchema,
+  taskEventsSchema,
+  getOccurrencesSchema,
+  createSubtaskSchema,
+  revertTaskSchema,
+  bulkTasksSchema,
+  exportTasksSchema,
+  importTasksSchema,
+  taskStatsSchema,
+} from '../validators/taskValidators.js';
+import {
+  getCommentsSchema,
+  createCommentSchema,
+  updateCommentSchema,
+  commentIdSchema,
+} from '../validators/commentValidators.js';
+import { attachmentIdSchema } from '../validators/attachmentValidators.js';
 
 const router = express.Router();
 
-// All task routes require authentication
+// All task routes require authentication (API keys need tasks:read / tasks:write)
 router.use(authenticate);
+router.use(requireResourceScope('tasks'));
 
-router.route('/').get(getTasks).post(createTask);
-router.route('/:id').get(getTask).put(updateTask).delete(deleteTask);
+router
+  .route('/')
+  .get(validate(getTasksSchema), getTasks)
+  .post(validate(createTaskSchema), createTask);
+router.get('/trash', validate(getTrashSchema), getTrash);
+router.get('/events', validate(taskEventsSchema), streamTaskEvents);
+router.get('/stats', validate(taskStatsSchema), getTaskStats);
+router.post('/bulk', validate(bulkTasksSchema), bulkTasks);
+router.get('/export', validate(exportTasksSchema), exportTasks);
+// The form fields are only parsed once the upload has been read
+router.post(
+  '/import',
+  uploadSingle('file', config.imports),
+  validate(importTasksSchema),
+  importTasks
+);
+router
+  .route('/:id')
+  .get(validate(taskIdSchema), getTask)
+  .put(validate(updateTaskSchema), updateTask)
+  .delete(validate(taskIdSchema), deleteTask);
+router.get('/:id/occurrences', validate(getOccurrencesSchema), getTaskOccurrences);
+router
+  .route('/:id/subtasks')
+  .get(validate(taskIdSchema), getSubtasks)
+  .post(validate(createSubtaskSchema), createSubtask);
+router.post('/:id/restore', validate(taskIdSchema), restoreTask);
+router.delete('/:id/purge', validate(taskIdSchema), purgeTask);
+router.post('/:id/revert', validate(revertTaskSchema), revertTask);
+router
+  .route('/:id/comments')
+  .get(validate(getCommentsSchema), getComments)
+  .post(validate(createCommentSchema), createComment);
+router
+  .route('/:id/comments/:commentId')
+  .get(validate(commentIdSchema), getComment)
+  .put(validate(updateCommentSchema), updateComment)
+  .delete(validate(commentIdSchema), deleteComment);
+router
+  .route('/:id/attachments')
+  .get(validate(taskIdSchema), getAttachments)
+  .post(validate(taskIdSchema), authorizeUpload, uploadSingle('file'), uploadAttachment);
+router
+  .route('/:id/attachments/:attachmentId')
+  .get(validate(attachmentIdSchema), downloadAttachment)
+  .delete(validate(attachmentIdSchema), deleteAttachment);
 
 export default router;
 
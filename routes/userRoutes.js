@@ -4,19 +4,37 @@ import {
   createUser,
   changeUserRole,
   deleteUser,
+  revokeUserSessions,
+  unlockUser,
+  getAllUserStats,
+  getUserStats,
 } from '../controllers/userController.js';
-import { authenticate } from '../middleware/auth.js';
-import { requireAdmin } from '../middleware/rbac.js';
+import { authenticate, requireSession } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/rbac.js';
+import { validate } from '../middleware/validate.js';
+import { emptySchema } from '../validators/common.js';
+import {
+  createUserSchema,
+  changeUserRoleSchema,
+  userIdSchema,
+  allUserStatsSchema,
+  userStatsSchema,
+} from '../validators/userValidators.js';
 
 const router = express.Router();
 
-// All user routes require authentication and admin role
+// All user routes require authentication and the user.manage permission
 router.use(authenticate);
-router.use(requireAdmin);
+router.use(requireSession);
+router.use(requirePermission('user.manage'));
 
-router.route('/').get(getUsers).post(createUser);
-router.route('/:id').delete(deleteUser);
-router.route('/:id/role').post(changeUserRole);
+router.route('/').get(validate(emptySchema), getUsers).post(validate(createUserSchema), createUser);
+router.get('/stats', validate(allUserStatsSchema), getAllUserStats);
+router.route('/:id').delete(validate(userIdSchema), deleteUser);
+router.route('/:id/role').post(validate(changeUserRoleSchema), changeUserRole);
+router.route('/:id/revoke-sessions').post(validate(userIdSchema), revokeUserSessions);
+router.route('/:id/unlock').post(validate(userIdSchema), unlockUser);
+router.get('/:id/stats', validate(userStatsSchema), getUserStats);
 
 export default router;
 
@@ -0,0 +1,44 @@
+import express from 'express';
+import {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  getDelivery,
+  sendTestEvent,
+} from '../controllers/webhookController.js';
+import { authenticate, requireSession } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/rbac.js';
+import { validate } from '../middleware/validate.js';
+import { emptySchema } from '../validators/common.js';
+import {
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookIdSchema,
+  deliveryListSchema,
+  deliveryIdSchema,
+} from '../validators/webhookValidators.js';
+
+const router = express.Router();
+
+// All webhook routes require authentication and the webhook.manage permission
+router.use(authenticate);
+router.use(requireSession);
+router.use(requirePermission('webhook.manage'));
+
+router
+  .route('/')
+  .get(validate(emptySchema), getWebhooks)
+  .post(validate(createWebhookSchema), createWebhook);
+router
+  .route('/:id')
+  .get(validate(webhookIdSchema), getWebhook)
+  .put(validate(updateWebhookSchema), updateWebhook)
+  .delete(validate(webhookIdSchema), deleteWebhook);
+router.get('/:id/deliveries', validate(deliveryListSchema), getDeliveries);
+router.get('/:id/deliveries/:deliveryId', validate(deliveryIdSchema), getDelivery);
+router.post('/:id/test', validate(webhookIdSchema), sendTestEvent);
+
+export default router;
@@ -4,20 +4,41 @@ import config from './config/config.js';
 import connectDB from './config/database.js';
 import logger from './utils/logger.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { requestId } from './middleware/requestId.js';
+import { apiLimiter } from './middleware/rateLimit.js';
+import { errorResponse } from './utils/responseHandler.js';
+import { ERROR_CODES } from './utils/errorCodes.js';
+import { startTrashPurgeJob } from './jobs/trashPurge.js';
+import { startWebhookDeliveryJob } from './jobs/webhookDelivery.js';
+import { startNotificationJob } from './jobs/notifications.js';
+import { getMailTransport } from './utils/mailer.js';
 
 // Import routes
 import authRoutes from './routes/authRoutes.js';
 import taskRoutes from './routes/taskRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import auditRoutes from './routes/auditRoutes.js';
+import projectRoutes from './routes/projectRoutes.js';
+import tagRoutes from './routes/tagRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
 
 // Connect to database
 connectDB();
 
+// Fail at startup rather than on the first email when the mail transport is misconfigured
+getMailTransport();
+
 const app = express();
 
+// Trust X-Forwarded-For from this many proxies so req.ip is the client's address
+app.set('trust proxy', config.trustProxy);
+
 // Middleware
-app.use(cors());
+app.use(requestId);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -27,15 +48,25 @@ app.use((req, res, next) => {
     method: req.method,
     path: req.path,
     ip: req.ip,
+    requestId: req.id,
   });
   next();
 });
 
+// Per-IP rate limit for the whole API
+app.use('/api', apiLimiter);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/audit-logs', auditRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -48,9 +79,8 @@ app.get('/health', (req, res) => {
 
 // 404 handler
 app.use((req, res, next) => {
-  res.status(404).json({
-    success: false,
-    message: `Route ${req.path} not found`,
+  errorResponse(res, 404, `Route ${req.path} not found`, null, {
+    code: ERROR_CODES.ROUTE_NOT_FOUND,
   });
 });
 
@@ -64,6 +94,11 @@ app.listen(PORT, () => {
   logger.info(`Server running in ${config.env} mode on port ${PORT}`);
 });
 
+// Background jobs
+startTrashPurgeJob();
+startWebhookDeliveryJob();
+startNotificationJob();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error({
@@ -1,15 +1,25 @@
+import { ERROR_CODES, codeForStatus } from './errorCodes.js';
+
 /**
  * Custom error class for application errors
- * Carries status code and message for error handling middleware
+ * Carries status code, a stable error code and optional field details
+ * for error handling middleware
  */
 
 export class AppError extends Error {
-  constructor(message, statusCode = 500) {
+  constructor(message, statusCode = 500, code = codeForStatus(statusCode), details = null) {
     super(message);
     this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
     this.isOperational = true;
 
     Error.captureStackTrace(this, this.constructor);
   }
 }
 
+/**
+ * Validation error for a single request field
+ */
+export const fieldError = (field, message) =>
+  new AppError(message, 422, ERROR_CODES.VALIDATION_FAILED, [{ field, message }]);
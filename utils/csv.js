@@ -0,0 +1,79 @@
+import { fieldError } from './AppError.js';
+
+/**
+ * CSV helpers (RFC 4180)
+ */
+
+// Quote a CSV value when needed; values that spreadsheets would run as formulas are
+// prefixed with a quote character
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line (CRLF terminated)
+ */
+export const toCsvLine = (values) => `${values.map(toCsvValue).join(',')}\r\n`;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and newlines)
+ * Returns an array of rows, skipping blank lines
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some((value) => value !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw fieldError('file', 'CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
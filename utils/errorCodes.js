@@ -0,0 +1,109 @@
+/**
+ * Stable, machine-readable error codes returned in error responses
+ * Clients should match on these instead of the message text.
+ * Codes are part of the public API: add new ones, never rename existing ones.
+ */
+export const ERROR_CODES = Object.freeze({
+  // Generic (defaults for each HTTP status)
+  BAD_REQUEST: 'BAD_REQUEST',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+  INVALID_ID: 'INVALID_ID',
+  DUPLICATE_VALUE: 'DUPLICATE_VALUE',
+  INVALID_CURSOR: 'INVALID_CURSOR',
+  RATE_LIMITED: 'RATE_LIMITED',
+
+  // Authentication
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_TOKEN_INVALID: 'AUTH_TOKEN_INVALID',
+  AUTH_TOKEN_EXPIRED: 'AUTH_TOKEN_EXPIRED',
+  AUTH_SESSION_REVOKED: 'AUTH_SESSION_REVOKED',
+  AUTH_INVALID_CREDENTIALS: 'AUTH_INVALID_CREDENTIALS',
+  AUTH_EMAIL_NOT_VERIFIED: 'AUTH_EMAIL_NOT_VERIFIED',
+  AUTH_REFRESH_TOKEN_INVALID: 'AUTH_REFRESH_TOKEN_INVALID',
+  AUTH_REFRESH_TOKEN_EXPIRED: 'AUTH_REFRESH_TOKEN_EXPIRED',
+  AUTH_REFRESH_TOKEN_REVOKED: 'AUTH_REFRESH_TOKEN_REVOKED',
+  AUTH_RESET_TOKEN_INVALID: 'AUTH_RESET_TOKEN_INVALID',
+  AUTH_VERIFICATION_TOKEN_INVALID: 'AUTH_VERIFICATION_TOKEN_INVALID',
+  AUTH_EMAIL_ALREADY_VERIFIED: 'AUTH_EMAIL_ALREADY_VERIFIED',
+  AUTH_ACCOUNT_LOCKED: 'AUTH_ACCOUNT_LOCKED',
+  AUTH_API_KEY_INVALID: 'AUTH_API_KEY_INVALID',
+  API_KEY_SCOPE_MISSING: 'API_KEY_SCOPE_MISSING',
+  API_KEY_NOT_ALLOWED: 'API_KEY_NOT_ALLOWED',
+  API_KEY_NOT_FOUND: 'API_KEY_NOT_FOUND',
+  // No longer returned since permissions replaced the admin role checks
+  ADMIN_REQUIRED: 'ADMIN_REQUIRED',
+  PERMISSION_DENIED: 'PERMISSION_DENIED',
+
+  // Users
+  USER_NOT_FOUND: 'USER_NOT_FOUND',
+  USER_ALREADY_EXISTS: 'USER_ALREADY_EXISTS',
+  USER_SELF_MODIFICATION: 'USER_SELF_MODIFICATION',
+
+  // Roles
+  ROLE_NOT_FOUND: 'ROLE_NOT_FOUND',
+  ROLE_NAME_TAKEN: 'ROLE_NAME_TAKEN',
+  ROLE_BUILT_IN: 'ROLE_BUILT_IN',
+  ROLE_IN_USE: 'ROLE_IN_USE',
+
+  // Tasks
+  TASK_NOT_FOUND: 'TASK_NOT_FOUND',
+  TASK_FORBIDDEN: 'TASK_FORBIDDEN',
+  TASK_NOT_IN_TRASH: 'TASK_NOT_IN_TRASH',
+  TASK_NOT_RECURRING: 'TASK_NOT_RECURRING',
+  TASK_OWNER_MISSING: 'TASK_OWNER_MISSING',
+  TASK_HISTORY_NOT_FOUND: 'TASK_HISTORY_NOT_FOUND',
+  TASK_REVERT_NO_CHANGES: 'TASK_REVERT_NO_CHANGES',
+  COMMENT_NOT_FOUND: 'COMMENT_NOT_FOUND',
+  COMMENT_FORBIDDEN: 'COMMENT_FORBIDDEN',
+  ATTACHMENT_NOT_FOUND: 'ATTACHMENT_NOT_FOUND',
+  ATTACHMENT_INVALID: 'ATTACHMENT_INVALID',
+  ATTACHMENT_TOO_LARGE: 'ATTACHMENT_TOO_LARGE',
+  ATTACHMENT_TYPE_NOT_ALLOWED: 'ATTACHMENT_TYPE_NOT_ALLOWED',
+  ATTACHMENT_LIMIT_REACHED: 'ATTACHMENT_LIMIT_REACHED',
+  SUBTASK_NOT_ALLOWED: 'SUBTASK_NOT_ALLOWED',
+  BULK_ROLLED_BACK: 'BULK_ROLLED_BACK',
+  TRANSACTIONS_UNSUPPORTED: 'TRANSACTIONS_UNSUPPORTED',
+
+  // Projects
+  PROJECT_NOT_FOUND: 'PROJECT_NOT_FOUND',
+  PROJECT_FORBIDDEN: 'PROJECT_FORBIDDEN',
+  PROJECT_MEMBER_NOT_FOUND: 'PROJECT_MEMBER_NOT_FOUND',
+  PROJECT_MEMBER_EXISTS: 'PROJECT_MEMBER_EXISTS',
+  PROJECT_OWNER_REQUIRED: 'PROJECT_OWNER_REQUIRED',
+
+  // Tags
+  TAG_NOT_FOUND: 'TAG_NOT_FOUND',
+  TAG_FORBIDDEN: 'TAG_FORBIDDEN',
+  TAG_NAME_TAKEN: 'TAG_NAME_TAKEN',
+
+  // Notifications
+  NOTIFICATION_NOT_FOUND: 'NOTIFICATION_NOT_FOUND',
+
+  // Webhooks
+  WEBHOOK_NOT_FOUND: 'WEBHOOK_NOT_FOUND',
+  WEBHOOK_DELIVERY_NOT_FOUND: 'WEBHOOK_DELIVERY_NOT_FOUND',
+});
+
+// Code used when an error doesn't set one
+const STATUS_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  422: ERROR_CODES.VALIDATION_FAILED,
+  429: ERROR_CODES.RATE_LIMITED,
+};
+
+/**
+ * Default error code for an HTTP status
+ */
+export const codeForStatus = (statusCode) =>
+  STATUS_CODES[statusCode] ||
+  (statusCode < 500 ? ERROR_CODES.BAD_REQUEST : ERROR_CODES.INTERNAL_ERROR);
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { afterCommit } from './transaction.js';
+import logger from './logger.js';
+
+/**
+ * Domain events
+ * An in-process bus that integrations (webhooks, live updates, notifications)
+ * subscribe to. Events raised inside a transaction are only published once it
+ * commits, so subscribers never see changes that were rolled back.
+ */
+
+export const EVENT_TYPES = Object.freeze([
+  'task.created',
+  'task.updated',
+  'task.completed',
+  'task.deleted',
+  'task.restored',
+  'user.role_changed',
+]);
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+/**
+ * Publish an event: { id, type, occurredAt, data }
+ */
+export const publishEvent = (type, data, { session } = {}) => {
+  const event = { id: crypto.randomUUID(), type, occurredAt: new Date(), data };
+  afterCommit(session, () => bus.emit('event', event));
+  return event;
+};
+
+/**
+ * Call listener(event) for every published event
+ * Listeners run after the publisher has moved on, and their failures are only logged.
+ * Returns a function that removes the subscription.
+ */
+export const subscribeToEvents = (listener) => {
+  const handler = (event) => {
+    setImmediate(() => {
+      Promise.resolve()
+        .then(() => listener(event))
+        .catch((error) => {
+          logger.error({
+            message: 'Event listener failed',
+            eventType: event.type,
+            eventId: event.id,
+            error: error.message,
+          });
+        });
+    });
+  };
+
+  bus.on('event', handler);
+  return () => bus.off('event', handler);
+};
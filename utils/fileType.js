@@ -0,0 +1,59 @@
+/**
+ * File type checks
+ * Compares the content of an upload with the MIME type the client declared, using the
+ * signatures ("magic numbers") of the formats accepted as attachments
+ */
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// ZIP container (Office Open XML documents)
+const ZIP = [0x50, 0x4b, 0x03, 0x04];
+// OLE2 compound file (legacy Office documents)
+const OLE2 = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+// Control characters other than tab, line feed, form feed and carriage return
+const BINARY_CHARACTER = /[^\P{Cc}\t\n\f\r]/u;
+
+// UTF-8 text without control characters
+const isText = (buffer) => {
+  try {
+    return !BINARY_CHARACTER.test(new TextDecoder('utf-8', { fatal: true }).decode(buffer));
+  } catch {
+    return false;
+  }
+};
+
+const SIGNATURES = {
+  'image/png': (buffer) => startsWith(buffer, [0x89, ...ascii('PNG\r\n\x1a\n')]),
+  'image/jpeg': (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  'image/gif': (buffer) =>
+    startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a')),
+  'image/webp': (buffer) =>
+    startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8),
+  'application/pdf': (buffer) => startsWith(buffer, ascii('%PDF-')),
+  'application/msword': (buffer) => startsWith(buffer, OLE2),
+  'application/vnd.ms-excel': (buffer) => startsWith(buffer, OLE2),
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': (buffer) =>
+    startsWith(buffer, ZIP),
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': (buffer) =>
+    startsWith(buffer, ZIP),
+  'text/plain': isText,
+  'text/csv': isText,
+  'text/markdown': isText,
+};
+
+/**
+ * Whether the content of a file can be checked against the given MIME type
+ */
+export const canCheckContent = (mimeType) => Object.hasOwn(SIGNATURES, mimeType);
+
+/**
+ * Whether the content of a file matches the given MIME type
+ * Types that can't be checked never match
+ */
+export const contentMatchesType = (buffer, mimeType) =>
+  canCheckContent(mimeType) && SIGNATURES[mimeType](buffer);
@@ -2,11 +2,11 @@ import jwt from 'jsonwebtoken';
 import config from '../config/config.js';
 
 /**
- * Generate JWT token
+ * Generate short-lived JWT access token
+ * The session ID ties the token to its refresh token family so it can be revoked
  */
-export const generateToken = (id) => {
-  return jwt.sign({ id }, config.jwtSecret, {
+export const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, config.jwtSecret, {
     expiresIn: config.jwtExpiresIn,
   });
 };
-
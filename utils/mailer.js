@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import config from '../config/config.js';
+import logger from './logger.js';
+
+/**
+ * Pluggable mail transport
+ * Every transport exposes send({ to, subject, text, html }).
+ * Select one with MAIL_TRANSPORT=smtp|file|memory.
+ */
+
+/**
+ * SMTP transport (production)
+ */
+export const createSmtpTransport = (options) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail({ from: options.from, ...message }),
+  };
+};
+
+/**
+ * File transport (local development)
+ * Writes each message as a JSON file into the given directory, readable by the app's user only
+ */
+export const createFileTransport = (dir) => {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      // The random suffix keeps messages sent to one recipient in the same millisecond apart
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+      const filePath = path.join(dir, fileName);
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2),
+        { mode: 0o600 }
+      );
+      logger.debug({ message: 'Mail written to file', to: message.to, filePath });
+    },
+  };
+};
+
+/**
+ * In-memory transport (testing)
+ * Sent messages are kept in the `outbox` array
+ */
+export const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'memory',
+    outbox,
+    send: async (message) => {
+      outbox.push({ ...message, sentAt: new Date() });
+    },
+  };
+};
+
+const createTransport = () => {
+  switch (config.mail.transport) {
+    case 'smtp':
+      return createSmtpTransport(config.mail.smtp);
+    case 'file':
+      return createFileTransport(config.mail.fileDir);
+    case 'memory':
+      // Nobody would ever receive the mail (and the outbox grows without bound)
+      if (config.env !== 'test') {
+        throw new Error('MAIL_TRANSPORT=memory can only be used with NODE_ENV=test');
+      }
+      return createMemoryTransport();
+    default:
+      throw new Error(
+        `Unknown MAIL_TRANSPORT "${config.mail.transport}" (expected smtp, file or memory)`
+      );
+  }
+};
+
+let transport;
+
+/**
+ * Get the configured transport (created lazily)
+ */
+export const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with an in-memory one in tests)
+ */
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the active transport
+ */
+export const sendMail = (message) => getMailTransport().send(message);
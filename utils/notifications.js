@@ -0,0 +1,156 @@
+import Notification from '../models/Notification.js';
+import User, { REMINDER_LEAD_MINUTES } from '../models/User.js';
+import Task from '../models/Task.js';
+import { getTaskAccess } from './taskAccess.js';
+
+// Preference that turns each notification type on or off
+const PREFERENCE_FOR_TYPE = {
+  'task.assigned': 'taskAssigned',
+  'task.changed': 'taskChanged',
+  'task.due_soon': 'dueReminders',
+  'comment.mention': 'mentions',
+};
+
+// Task events that notify the owner when someone else makes them
+const CHANGE_VERBS = {
+  'task.updated': 'updated',
+  'task.deleted': 'moved to the trash',
+  'task.restored': 'restored',
+};
+
+const MAX_REMINDER_LEAD_MS = REMINDER_LEAD_MINUTES.max * 60 * 1000;
+
+/**
+ * Create a notification for each recipient who hasn't turned its type off
+ */
+export const notify = async (recipientIds, notification) => {
+  const ids = [...new Set(recipientIds.map(String))];
+
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const preference = `notificationPreferences.${PREFERENCE_FOR_TYPE[notification.type]}`;
+  const recipients = await User.find({ _id: { $in: ids }, [preference]: { $ne: false } }).select(
+    '_id'
+  );
+
+  return Notification.insertMany(
+    recipients.map((recipient) => ({ ...notification, recipient: recipient._id }))
+  );
+};
+
+/**
+ * Notify task owners about assignments and about changes other users make to their tasks
+ * Subscribed to domain events (see utils/events.js)
+ */
+export const notifyForTaskEvent = async (event) => {
+  if (!event.type.startsWith('task.')) return;
+
+  const { task, changes, actor } = event.data;
+  const ownerId = String(task.owner);
+  const actorId = actor?.id ? String(actor.id) : null;
+  const actorName = actor?.name || 'The system';
+
+  // Nobody is notified about their own changes
+  if (ownerId === actorId) return;
+
+  const base = { task: task._id, actor: actorId };
+  const assigned =
+    event.type === 'task.created' ||
+    (event.type === 'task.updated' && changes.some((change) => change.field_name === 'owner'));
+
+  if (assigned) {
+    await notify([ownerId], {
+      ...base,
+      type: 'task.assigned',
+      message: `${actorName} assigned you "${task.title}"`,
+    });
+  } else if (CHANGE_VERBS[event.type]) {
+    await notify([ownerId], {
+      ...base,
+      type: 'task.changed',
+      message: `${actorName} ${CHANGE_VERBS[event.type]} "${task.title}"`,
+      data: { fields: changes.map((change) => change.field_name) },
+    });
+  }
+};
+
+/**
+ * Notify users newly mentioned in a comment, if they can see its task
+ */
+export const notifyMentions = async ({ comment, task, author, mentionIds }) => {
+  const candidates = await User.find({
+    _id: { $in: mentionIds, $ne: author._id },
+    'notificationPreferences.mentions': { $ne: false },
+  });
+
+  const recipients = [];
+  for (const user of candidates) {
+    await user.loadPermissions();
+    if (await getTaskAccess(task, user)) {
+      recipients.push(user._id);
+    }
+  }
+
+  return notify(recipients, {
+    type: 'comment.mention',
+    task: task._id,
+    actor: author._id,
+    message: `${author.email} mentioned you on "${task.title}"`,
+    data: { comment: comment._id },
+  });
+};
+
+/**
+ * Remind owners of open tasks that fall due within their reminder lead time
+ * Each due date gets one reminder; changing it schedules a new one.
+ */
+export const sendDueReminders = async (now = new Date()) => {
+  const tasks = await Task.find({
+    completed: false,
+    dueDate: { $gt: now, $lte: new Date(now.getTime() + MAX_REMINDER_LEAD_MS) },
+  }).select('_id title owner dueDate');
+
+  if (tasks.length === 0) {
+    return 0;
+  }
+
+  const owners = await User.find({
+    _id: { $in: [...new Set(tasks.map((task) => String(task.owner)))] },
+    'notificationPreferences.dueReminders': { $ne: false },
+  }).select('notificationPreferences');
+  const leadMinutes = new Map(
+    owners.map((owner) => [String(owner._id), owner.notificationPreferences.reminderLeadMinutes])
+  );
+
+  let sent = 0;
+  for (const task of tasks) {
+    const lead = leadMinutes.get(String(task.owner));
+    if (lead === undefined || task.dueDate - now > lead * 60 * 1000) continue;
+
+    // Upserting on the dedupe key keeps reminders unique across runs and app instances
+    const dedupeKey = `due:${task._id}:${task.dueDate.toISOString()}`;
+    try {
+      const result = await Notification.updateOne(
+        { dedupeKey },
+        {
+          $setOnInsert: {
+            recipient: task.owner,
+            type: 'task.due_soon',
+            task: task._id,
+            message: `"${task.title}" is due soon`,
+            data: { dueDate: task.dueDate },
+          },
+        },
+        { upsert: true }
+      );
+      sent += result.upsertedCount;
+    } catch (error) {
+      // Another instance created the same reminder first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return sent;
+};
@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+import { AppError, fieldError } from './AppError.js';
+import { ERROR_CODES } from './errorCodes.js';
+
+/**
+ * Shared helpers for parsing list query parameters
+ * (pagination, sorting, boolean and date filters)
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse page/limit query params into skip/limit values
+ */
+export const parsePagination = (
+  query,
+  { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}
+) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  const skip = (page - 1) * limit;
+
+  return { page, limit, skip };
+};
+
+/**
+ * Build the pagination block returned alongside list responses
+ */
+export const buildPagination = (page, limit, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit),
+});
+
+/**
+ * Parse a comma separated sort string (e.g. "-createdAt,title")
+ * Only fields in the allow-list are accepted; fieldMap maps a public
+ * field name to the database field it sorts by
+ */
+export const parseSort = (value, allowedFields, defaultSort, fieldMap = {}) => {
+  if (!value) {
+    return defaultSort;
+  }
+
+  const sort = {};
+  const fields = String(value)
+    .split(',')
+    .map((field) => field.trim())
+    .filter(Boolean);
+
+  fields.forEach((field) => {
+    const direction = field.startsWith('-') ? -1 : 1;
+    const name = field.replace(/^[-+]/, '');
+
+    if (!allowedFields.includes(name)) {
+      throw fieldError(
+        'sort',
+        `Invalid sort field: ${name}. Allowed fields: ${allowedFields.join(', ')}`
+      );
+    }
+
+    sort[fieldMap[name] || name] = direction;
+  });
+
+  return Object.keys(sort).length > 0 ? sort : defaultSort;
+};
+
+/**
+ * Parse a "true"/"false" query param, returns undefined when absent
+ */
+export const parseBoolean = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  if (value === 'true' || value === true) return true;
+  if (value === 'false' || value === false) return false;
+
+  throw fieldError(name, `${name} must be true or false`);
+};
+
+/**
+ * Parse a date query param, returns undefined when absent
+ */
+export const parseDate = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw fieldError(name, `${name} must be a valid date`);
+  }
+
+  return date;
+};
+
+/**
+ * Build a MongoDB range condition ({ $gte, $lte }) from two date params
+ * Returns undefined when neither bound is provided
+ */
+export const parseDateRange = (query, fromKey, toKey) => {
+  const from = parseDate(query[fromKey], fromKey);
+  const to = parseDate(query[toKey], toKey);
+
+  if (!from && !to) {
+    return undefined;
+  }
+
+  if (from && to && from > to) {
+    throw fieldError(fromKey, `${fromKey} must be before ${toKey}`);
+  }
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+
+  return range;
+};
+
+/**
+ * Cursor pagination
+ * Cursors are opaque base64url tokens encoding the sort value and _id of the
+ * last item on a page, so pages stay stable when new records are inserted.
+ */
+
+/**
+ * Whether the request asked for cursor mode (?paginate=cursor or ?cursor=...)
+ */
+export const isCursorMode = (query) => query.paginate === 'cursor' || query.cursor !== undefined;
+
+/**
+ * Encode the position of a document into an opaque cursor
+ */
+export const encodeCursor = (doc, field) =>
+  Buffer.from(
+    JSON.stringify({ v: new Date(doc[field]).toISOString(), id: doc._id.toString() })
+  ).toString('base64url');
+
+/**
+ * Decode an opaque cursor, returns null for the first page
+ */
+export const decodeCursor = (token) => {
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    const value = new Date(v);
+
+    if (Number.isNaN(value.getTime()) || !/^[a-f\d]{24}$/i.test(id)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return { value, id };
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400, ERROR_CODES.INVALID_CURSOR);
+  }
+};
+
+/**
+ * Add the "after cursor" condition to a query, ordering by field then _id
+ */
+export const applyCursor = (query, cursor, field, direction = -1) => {
+  if (!cursor) {
+    return query;
+  }
+
+  const op = direction === -1 ? '$lt' : '$gt';
+  const condition = {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: new mongoose.Types.ObjectId(cursor.id) } },
+    ],
+  };
+
+  query.$and = [...(query.$and || []), condition];
+  return query;
+};
+
+/**
+ * Trim the extra lookahead item from a page and build the cursor pagination block
+ * Callers should fetch limit + 1 items
+ */
+export const buildCursorPage = (items, limit, field) => {
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  const nextCursor = hasMore ? encodeCursor(page[page.length - 1], field) : null;
+
+  return {
+    items: page,
+    pagination: { limit, hasMore, nextCursor },
+  };
+};
@@ -0,0 +1,120 @@
+import config from '../config/config.js';
+import RateLimit from '../models/RateLimit.js';
+
+/**
+ * Pluggable rate limit storage
+ * Every store exposes:
+ *   increment(key, windowMs) -> { count, resetAt }  counts a hit in the current window
+ *   reset(key)                                      clears the counter for a key
+ * Select one with RATE_LIMIT_STORE=memory|mongo.
+ */
+
+// How often the memory store drops expired windows
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory store (single process)
+ */
+export const createMemoryStore = () => {
+  const hits = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt.getTime() <= now) hits.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = hits.get(key);
+
+      if (!entry || entry.resetAt.getTime() <= now) {
+        entry = { count: 0, resetAt: new Date(now + windowMs) };
+        hits.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    reset: async (key) => {
+      hits.delete(key);
+    },
+  };
+};
+
+/**
+ * MongoDB store (shared between processes)
+ * Counters expire through a TTL index on resetAt
+ */
+export const createMongoStore = () => {
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+    const active = { $gt: ['$resetAt', now] };
+
+    // Start a new window when the current one has expired (or doesn't exist yet)
+    const doc = await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [active, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + windowMs)] },
+          },
+        },
+      ],
+      { new: true, upsert: true }
+    ).lean();
+
+    return { count: doc.count, resetAt: doc.resetAt };
+  };
+
+  return {
+    name: 'mongo',
+    increment: async (key, windowMs) => {
+      try {
+        return await increment(key, windowMs);
+      } catch (error) {
+        // Two concurrent upserts of a new key; the retry updates the winner's document
+        if (error.code === 11000) {
+          return increment(key, windowMs);
+        }
+        throw error;
+      }
+    },
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    },
+  };
+};
+
+const createStore = () => {
+  switch (config.rateLimit.store) {
+    case 'mongo':
+      return createMongoStore();
+    default:
+      return createMemoryStore();
+  }
+};
+
+let store;
+
+/**
+ * Get the configured store (created lazily)
+ */
+export const getRateLimitStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+/**
+ * Replace the active store (e.g. with a fresh in-memory one in tests)
+ */
+export const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
@@ -0,0 +1,199 @@
+import { fieldError } from './AppError.js';
+
+/**
+ * Recurrence rule helpers (a small RRULE subset)
+ *
+ * A rule looks like:
+ *   {
+ *     frequency: 'daily' | 'weekly' | 'monthly',
+ *     interval: 1,              // every N days/weeks/months
+ *     byWeekday: [1, 3],        // weekly only, 0 = Sunday ... 6 = Saturday
+ *     byMonthDay: 15,           // monthly only, defaults to the start date's day
+ *     until: Date,              // optional end date (inclusive)
+ *     count: 10,                // optional total number of occurrences
+ *     startDate: Date,          // first occurrence, anchors weekly intervals
+ *     occurrence: 1,            // index of the occurrence a task represents
+ *   }
+ *
+ * All calculations are done in UTC.
+ */
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on day-by-day scanning for weekly rules
+const MAX_SCAN_DAYS = 366 * 10;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Start of the (Sunday-based) week containing date, in UTC
+const startOfWeek = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return addDays(start, -start.getUTCDay());
+};
+
+/**
+ * Validate a recurrence rule from a request body and fill in defaults
+ * startDate is the due date of the first occurrence
+ */
+export const normalizeRecurrence = (rule, startDate) => {
+  if (!rule || typeof rule !== 'object') {
+    throw fieldError('recurrence', 'Recurrence must be an object');
+  }
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    throw fieldError(
+      'recurrence.frequency',
+      `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`
+    );
+  }
+
+  if (!startDate) {
+    throw fieldError('dueDate', 'Recurring tasks require a dueDate');
+  }
+
+  const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw fieldError('recurrence.interval', 'Recurrence interval must be a positive integer');
+  }
+
+  const normalized = {
+    frequency: rule.frequency,
+    interval,
+    startDate: new Date(rule.startDate || startDate),
+    occurrence: rule.occurrence || 1,
+  };
+
+  if (rule.frequency === 'weekly' && rule.byWeekday !== undefined) {
+    const weekdays = Array.isArray(rule.byWeekday) ? rule.byWeekday : [rule.byWeekday];
+    const invalid = weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6);
+    if (weekdays.length === 0 || invalid) {
+      throw fieldError(
+        'recurrence.byWeekday',
+        'Recurrence byWeekday must contain weekdays from 0 (Sun) to 6 (Sat)'
+      );
+    }
+    normalized.byWeekday = [...new Set(weekdays)].sort();
+  }
+
+  if (rule.frequency === 'monthly') {
+    const monthDay = rule.byMonthDay === undefined ? startDate.getUTCDate() : rule.byMonthDay;
+    if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) {
+      throw fieldError('recurrence.byMonthDay', 'Recurrence byMonthDay must be between 1 and 31');
+    }
+    normalized.byMonthDay = monthDay;
+  }
+
+  if (rule.until !== undefined && rule.until !== null) {
+    const until = new Date(rule.until);
+    if (Number.isNaN(until.getTime())) {
+      throw fieldError('recurrence.until', 'Recurrence until must be a valid date');
+    }
+    if (until < startDate) {
+      throw fieldError('recurrence.until', 'Recurrence until must be after the dueDate');
+    }
+    normalized.until = until;
+  }
+
+  if (rule.count !== undefined && rule.count !== null) {
+    if (!Number.isInteger(rule.count) || rule.count < 1) {
+      throw fieldError('recurrence.count', 'Recurrence count must be a positive integer');
+    }
+    normalized.count = rule.count;
+  }
+
+  if (normalized.until && normalized.count) {
+    throw fieldError('recurrence', 'Recurrence can have either until or count, not both');
+  }
+
+  return normalized;
+};
+
+/**
+ * Calculate the date following `from` according to the rule
+ * (ignores end conditions)
+ */
+const nextDate = (rule, from) => {
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(from, rule.interval);
+
+    case 'weekly': {
+      if (!rule.byWeekday?.length) {
+        return addDays(from, 7 * rule.interval);
+      }
+
+      const anchorWeek = startOfWeek(new Date(rule.startDate));
+      for (let i = 1; i <= MAX_SCAN_DAYS; i += 1) {
+        const candidate = addDays(from, i);
+        const weekIndex = Math.round((startOfWeek(candidate) - anchorWeek) / (7 * DAY_MS));
+        if (weekIndex % rule.interval === 0 && rule.byWeekday.includes(candidate.getUTCDay())) {
+          return candidate;
+        }
+      }
+      return null;
+    }
+
+    case 'monthly': {
+      const month = from.getUTCMonth() + rule.interval;
+      const year = from.getUTCFullYear() + Math.floor(month / 12);
+      const normalizedMonth = month % 12;
+      const day = Math.min(rule.byMonthDay, daysInMonth(year, normalizedMonth));
+
+      return new Date(
+        Date.UTC(
+          year,
+          normalizedMonth,
+          day,
+          from.getUTCHours(),
+          from.getUTCMinutes(),
+          from.getUTCSeconds(),
+          from.getUTCMilliseconds()
+        )
+      );
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Get the next occurrence after the one due at `from`
+ * Returns { dueDate, occurrence } or null when the series has ended
+ */
+export const getNextOccurrence = (rule, from) => {
+  const occurrence = (rule.occurrence || 1) + 1;
+
+  if (rule.count && occurrence > rule.count) {
+    return null;
+  }
+
+  const dueDate = nextDate(rule, new Date(from));
+
+  if (!dueDate || (rule.until && dueDate > new Date(rule.until))) {
+    return null;
+  }
+
+  return { dueDate, occurrence };
+};
+
+/**
+ * List up to `limit` upcoming occurrences after the one due at `from`
+ * without creating any tasks
+ */
+export const getUpcomingOccurrences = (rule, from, limit) => {
+  const occurrences = [];
+  let current = { dueDate: new Date(from), occurrence: rule.occurrence || 1 };
+
+  while (occurrences.length < limit) {
+    current = getNextOccurrence({ ...rule, occurrence: current.occurrence }, current.dueDate);
+    if (!current) break;
+    occurrences.push(current);
+  }
+
+  return occurrences;
+};
@@ -1,8 +1,14 @@
+import http from 'http';
+import { once } from 'events';
+import { codeForStatus } from './errorCodes.js';
+
 /**
  * Centralized API response handler
  * Ensures consistent response format across all routes
  */
 
+const PROBLEM_JSON = 'application/problem+json';
+
 export const successResponse = (res, statusCode, message, data = null) => {
   const response = {
     success: true,
@@ -16,16 +22,72 @@ export const successResponse = (res, statusCode, message, data = null) => {
   return res.status(statusCode).json(response);
 };
 
-export const errorResponse = (res, statusCode, message, errors = null) => {
+/**
+ * Write to a streamed response, waiting while the client catches up
+ * Resolves false once the client has disconnected
+ */
+export const writeChunk = async (res, chunk) => {
+  if (res.destroyed) return false;
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+  return !res.destroyed;
+};
+
+/**
+ * Whether the client asked for RFC 7807 problem details (Accept: application/problem+json)
+ */
+const wantsProblemJson = (req) =>
+  Boolean(req) && req.accepts(['application/json', PROBLEM_JSON]) === PROBLEM_JSON;
+
+/**
+ * Send an error response
+ * errors holds field-level details; options.code overrides the default code
+ * for the status and options.stack is included in local development only
+ */
+export const errorResponse = (res, statusCode, message, errors = null, options = {}) => {
+  const { code = codeForStatus(statusCode), stack } = options;
+  const { req } = res;
+
+  if (wantsProblemJson(req)) {
+    const problem = {
+      type: 'about:blank',
+      title: http.STATUS_CODES[statusCode] || 'Error',
+      status: statusCode,
+      detail: message,
+      instance: req.originalUrl,
+      code,
+      requestId: req.id,
+    };
+
+    if (errors !== null) {
+      problem.errors = errors;
+    }
+
+    if (stack) {
+      problem.stack = stack;
+    }
+
+    return res.status(statusCode).type(PROBLEM_JSON).send(JSON.stringify(problem));
+  }
+
   const response = {
     success: false,
     message,
+    code,
   };
 
+  if (req?.id) {
+    response.requestId = req.id;
+  }
+
   if (errors !== null) {
     response.errors = errors;
   }
 
+  if (stack) {
+    response.stack = stack;
+  }
+
   return res.status(statusCode).json(response);
 };
-
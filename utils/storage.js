@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import config from '../config/config.js';
+
+/**
+ * Pluggable file storage for attachments
+ * Every store exposes:
+ *   put(key, buffer, { contentType })  stores a file
+ *   get(key) -> Readable | null         reads a file (null when it doesn't exist)
+ *   delete(key)                         removes a file (missing files are ignored)
+ * Select one with ATTACHMENT_STORAGE=local|s3.
+ */
+
+/**
+ * Storage key of a task attachment
+ */
+export const attachmentKey = (taskId, attachmentId) => `tasks/${taskId}/${attachmentId}`;
+
+/**
+ * Local filesystem store (single server or shared volume)
+ */
+export const createLocalStorage = (dir) => {
+  const root = path.resolve(dir);
+
+  // Keys are generated by the app, but never let one escape the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    get: async (key) => {
+      const filePath = resolveKey(key);
+      try {
+        await fs.promises.access(filePath);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+    delete: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// S3 expects RFC 3986 encoding of each key segment
+const encodeKey = (key) =>
+  key
+    .split('/')
+    .map((segment) =>
+      encodeURIComponent(segment).replace(
+        /[!'()*]/g,
+        (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+      )
+    )
+    .join('/');
+
+/**
+ * S3-compatible store
+ * Talks to the S3 REST API with path-style URLs and Signature V4, so it works
+ * with AWS S3 as well as local stand-ins such as MinIO
+ */
+export const createS3Storage = ({ endpoint, region, bucket, accessKeyId, secretAccessKey }) => {
+  const base = new URL(endpoint);
+  const basePath = base.pathname.replace(/\/$/, '');
+
+  const request = async (method, key, { body, contentType } = {}) => {
+    const url = new URL(`${basePath}/${bucket}/${encodeKey(key)}`, base);
+    const payloadHash = sha256(body || '');
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...(contentType && { 'content-type': contentType }),
+    };
+    const headerNames = Object.keys(headers).sort();
+    const signedHeaders = headerNames.join(';');
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      headerNames.map((name) => `${name}:${headers[name]}\n`).join(''),
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+    const signingKey = hmac(hmac(hmac(dateKey, region), 's3'), 'aws4_request');
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    // fetch sets the host header itself
+    delete headers.host;
+    headers.authorization =
+      `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+    return fetch(url, { method, headers, body });
+  };
+
+  const assertOk = async (response, action) => {
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(
+        `S3 ${action} failed with status ${response.status}: ${detail.slice(0, 200)}`
+      );
+    }
+  };
+
+  return {
+    name: 's3',
+    put: async (key, buffer, { contentType } = {}) => {
+      const response = await request('PUT', key, { body: buffer, contentType });
+      await assertOk(response, 'upload');
+    },
+    get: async (key) => {
+      const response = await request('GET', key);
+      if (response.status === 404) {
+        return null;
+      }
+      await assertOk(response, 'download');
+      return Readable.fromWeb(response.body);
+    },
+    delete: async (key) => {
+      const response = await request('DELETE', key);
+      if (response.status !== 404) {
+        await assertOk(response, 'delete');
+      }
+    },
+  };
+};
+
+const createStorage = () => {
+  switch (config.attachments.storage) {
+    case 's3':
+      return createS3Storage(config.attachments.s3);
+    default:
+      return createLocalStorage(config.attachments.localDir);
+  }
+};
+
+let storage;
+
+/**
+ * Get the configured store (created lazily)
+ */
+export const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+/**
+ * Replace the active store (e.g. with a temporary directory in tests)
+ */
+export const setStorage = (customStorage) => {
+  storage = customStorage;
+};
@@ -0,0 +1,29 @@
+import Project from '../models/Project.js';
+
+/**
+ * Resolve the current user's access to a task: 'write', 'read' or null
+ * Owners and users with task.update.any can write; project members get access
+ * by project role, and users with task.read.any can read
+ */
+export const getTaskAccess = async (task, user) => {
+  const ownerId = task.owner._id || task.owner;
+
+  if (user.hasPermission('task.update.any') || ownerId.toString() === user._id.toString()) {
+    return 'write';
+  }
+
+  const readAny = user.hasPermission('task.read.any') ? 'read' : null;
+
+  if (!task.project) {
+    return readAny;
+  }
+
+  const project = await Project.findById(task.project._id || task.project);
+  const role = project?.getMemberRole(user._id);
+
+  if (!role) {
+    return readAny;
+  }
+
+  return role === 'viewer' ? 'read' : 'write';
+};
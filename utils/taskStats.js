@@ -0,0 +1,262 @@
+import mongoose from 'mongoose';
+import Task, { PRIORITIES } from '../models/Task.js';
+import TaskHistory from '../models/TaskHistory.js';
+import User from '../models/User.js';
+import { fieldError } from './AppError.js';
+import { parseDate } from './queryHelpers.js';
+
+/**
+ * Task statistics
+ * Counts come from the tasks themselves; completion times come from the audit trail,
+ * where a task completed, reopened and completed again counts once, at its latest
+ * completion in the period.
+ * Buckets are calendar days, weeks (starting Monday) or months in UTC.
+ */
+
+export const STATS_BUCKETS = ['day', 'week', 'month'];
+
+// Period covered when no from date is given
+const DEFAULT_PERIODS = { day: 30, week: 12, month: 12 };
+
+// Keeps responses (and the bucket list) to a sensible size
+const MAX_BUCKETS = 366;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Start of the bucket containing a date, matching $dateTrunc
+const truncate = (date, bucket) => {
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), bucket === 'month' ? 1 : date.getUTCDate())
+  );
+  if (bucket === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+const addBuckets = (date, bucket, count) => {
+  const next = new Date(date);
+  if (bucket === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + count);
+  } else {
+    next.setUTCDate(next.getUTCDate() + count * (bucket === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+const truncateExpression = (field, bucket) => ({
+  $dateTrunc: { date: field, unit: bucket, startOfWeek: 'monday' },
+});
+
+const toHours = (ms) =>
+  ms === null || ms === undefined ? null : Math.round((ms / HOUR_MS) * 10) / 10;
+
+const toRate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 1000 : null);
+
+/**
+ * Read the bucket and period (bucket, from, to) of a stats request
+ * from defaults to a period ending at to (30 days, 12 weeks or 12 months)
+ */
+export const parseStatsRange = (query, now = new Date()) => {
+  const bucket = query.bucket || 'day';
+  const to = parseDate(query.to, 'to') || now;
+  const from =
+    parseDate(query.from, 'from') || addBuckets(to, bucket, -DEFAULT_PERIODS[bucket] + 1);
+
+  if (from > to) {
+    throw fieldError('from', 'from must be before to');
+  }
+  if (addBuckets(truncate(from, bucket), bucket, MAX_BUCKETS) <= to) {
+    throw fieldError('from', `The period can cover at most ${MAX_BUCKETS} ${bucket}s`);
+  }
+
+  return { bucket, from: truncate(from, bucket), to };
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Tasks completed during the period according to the audit trail, one per task at its
+ * latest completion, with the time the task took; owner limits them to one user's tasks
+ */
+const completionPipeline = ({ owner, from, to }) => [
+  {
+    $match: {
+      model: 'Task',
+      change_type: { $in: ['update', 'revert'] },
+      created_at: { $gte: from, $lte: to },
+      logs: { $elemMatch: { field_name: 'completed', to_value: true } },
+    },
+  },
+  { $group: { _id: '$model_id', created_at: { $max: '$created_at' } } },
+  {
+    $lookup: {
+      from: Task.collection.name,
+      localField: '_id',
+      foreignField: '_id',
+      pipeline: [{ $project: { owner: 1, createdAt: 1, deletedAt: 1 } }],
+      as: 'task',
+    },
+  },
+  { $unwind: '$task' },
+  { $match: { 'task.deletedAt': null, ...(owner && { 'task.owner': toObjectId(owner) }) } },
+  {
+    $project: {
+      owner: '$task.owner',
+      completedAt: '$created_at',
+      duration: { $subtract: ['$created_at', '$task.createdAt'] },
+    },
+  },
+];
+
+/**
+ * Statistics for one user's tasks (owner), or every user's when owner is omitted
+ * Returns totals, open/completed counts per priority, a timeline of buckets and
+ * the average time to complete over the period
+ */
+export const computeTaskStats = async ({ owner, bucket, from, to }, now = new Date()) => {
+  const ownerMatch = owner ? { owner: toObjectId(owner) } : {};
+  const countCompleted = { $sum: { $cond: ['$completed', 1, 0] } };
+
+  const [[counts], [completions]] = await Promise.all([
+    Task.aggregate([
+      { $match: ownerMatch },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                total: { $sum: 1 },
+                completed: countCompleted,
+                overdue: {
+                  $sum: {
+                    $cond: [
+                      {
+                        $and: [
+                          { $eq: ['$completed', false] },
+                          { $lt: [{ $ifNull: ['$dueDate', now] }, now] },
+                        ],
+                      },
+                      1,
+                      0,
+                    ],
+                  },
+                },
+              },
+            },
+          ],
+          byPriority: [
+            { $group: { _id: '$priority', total: { $sum: 1 }, completed: countCompleted } },
+          ],
+          created: [
+            { $match: { createdAt: { $gte: from, $lte: to } } },
+            {
+              $group: {
+                _id: truncateExpression('$createdAt', bucket),
+                created: { $sum: 1 },
+                completed: countCompleted,
+              },
+            },
+          ],
+        },
+      },
+    ]),
+    TaskHistory.aggregate([
+      ...completionPipeline({ owner, from, to }),
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, count: { $sum: 1 }, average: { $avg: '$duration' } } }],
+          buckets: [
+            {
+              $group: {
+                _id: truncateExpression('$completedAt', bucket),
+                count: { $sum: 1 },
+                average: { $avg: '$duration' },
+              },
+            },
+          ],
+        },
+      },
+    ]),
+  ]);
+
+  const totals = counts.totals[0] || { total: 0, completed: 0, overdue: 0 };
+  const priorities = new Map(counts.byPriority.map((group) => [group._id, group]));
+  const created = new Map(counts.created.map((group) => [group._id.getTime(), group]));
+  const completed = new Map(completions.buckets.map((group) => [group._id.getTime(), group]));
+
+  const timeline = [];
+  for (let start = from; start <= to; start = addBuckets(start, bucket, 1)) {
+    const createdGroup = created.get(start.getTime());
+    const completedGroup = completed.get(start.getTime());
+
+    timeline.push({
+      start,
+      created: createdGroup?.created || 0,
+      completed: completedGroup?.count || 0,
+      // Share of the tasks created in the bucket that are completed now
+      completionRate: toRate(createdGroup?.completed, createdGroup?.created),
+      averageHoursToComplete: toHours(completedGroup?.average),
+    });
+  }
+
+  return {
+    totals: {
+      total: totals.total,
+      open: totals.total - totals.completed,
+      completed: totals.completed,
+      overdue: totals.overdue,
+      completionRate: toRate(totals.completed, totals.total),
+    },
+    byPriority: Object.fromEntries(
+      PRIORITIES.map((priority) => {
+        const group = priorities.get(priority) || { total: 0, completed: 0 };
+        return [priority, { open: group.total - group.completed, completed: group.completed }];
+      })
+    ),
+    period: {
+      bucket,
+      from,
+      to,
+      completed: completions.overall[0]?.count || 0,
+      averageHoursToComplete: toHours(completions.overall[0]?.average),
+      timeline,
+    },
+  };
+};
+
+/**
+ * Owners ranked by the number of tasks they completed in the period
+ * Returns [{ user: { id, email }, completed, averageHoursToComplete, open }]
+ */
+export const computeOwnerLeaderboard = async ({ from, to }, limit = 10) => {
+  const leaders = await TaskHistory.aggregate([
+    ...completionPipeline({ from, to }),
+    { $group: { _id: '$owner', completed: { $sum: 1 }, average: { $avg: '$duration' } } },
+    { $sort: { completed: -1, average: 1, _id: 1 } },
+    { $limit: limit },
+  ]);
+
+  if (leaders.length === 0) {
+    return [];
+  }
+
+  const ownerIds = leaders.map((leader) => leader._id);
+  const [users, openCounts] = await Promise.all([
+    User.find({ _id: { $in: ownerIds } }).select('email'),
+    Task.aggregate([
+      { $match: { owner: { $in: ownerIds }, completed: false } },
+      { $group: { _id: '$owner', open: { $sum: 1 } } },
+    ]),
+  ]);
+  const emails = new Map(users.map((user) => [String(user._id), user.email]));
+  const open = new Map(openCounts.map((count) => [String(count._id), count.open]));
+
+  return leaders.map((leader) => ({
+    user: { id: leader._id, email: emails.get(String(leader._id)) || null },
+    completed: leader.completed,
+    averageHoursToComplete: toHours(leader.average),
+    open: open.get(String(leader._id)) || 0,
+  }));
+};
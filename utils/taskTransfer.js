@@ -0,0 +1,320 @@
+import { fieldError } from './AppError.js';
+import { parseCsv } from './csv.js';
+
+/**
+ * Task import/export formats
+ * Exports are written one task at a time so large lists can be streamed;
+ * imports read CSV or JSON into plain records for the import to validate.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'json', 'ics'];
+export const IMPORT_FORMATS = ['csv', 'json'];
+
+// Columns of CSV exports (and keys of JSON exports), in order
+export const EXPORT_FIELDS = [
+  'id',
+  'title',
+  'description',
+  'completed',
+  'completedAt',
+  'dueDate',
+  'priority',
+  'owner',
+  'project',
+  'tags',
+  'parent',
+  'createdAt',
+  'updatedAt',
+];
+
+// Task fields an import can set, and the column (or key) read by default
+export const IMPORT_FIELDS = [
+  'title',
+  'description',
+  'completed',
+  'completedAt',
+  'dueDate',
+  'priority',
+  'tags',
+  'owner',
+];
+
+export const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8',
+};
+
+const toIso = (date) => (date ? date.toISOString() : null);
+const refId = (ref) => (ref ? String(ref._id || ref) : null);
+
+/**
+ * Flat representation of a task (with owner, project and tags populated)
+ */
+export const toExportRecord = (task) => ({
+  id: String(task._id),
+  title: task.title,
+  description: task.description || '',
+  completed: task.completed,
+  completedAt: toIso(task.completedAt),
+  dueDate: toIso(task.dueDate),
+  priority: task.priority,
+  owner: task.owner?.email || refId(task.owner),
+  project: task.project?.name || refId(task.project),
+  tags: (task.tags || []).map((tag) => tag.name || String(tag)),
+  parent: refId(task.parent),
+  createdAt: toIso(task.createdAt),
+  updatedAt: toIso(task.updatedAt),
+});
+
+// iCalendar text values escape backslashes, separators and newlines
+const icsText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// UTC date-time in iCalendar's basic format, e.g. 20240131T090000Z
+const icsDate = (date) =>
+  date
+    .toISOString()
+    .replace(/\.\d{3}/, '')
+    .replace(/[-:]/g, '');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// iCalendar PRIORITY: 1 is the highest, 9 the lowest
+const ICS_PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const toRrule = (rule) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`, `INTERVAL=${rule.interval || 1}`];
+
+  if (rule.byWeekday?.length) {
+    parts.push(`BYDAY=${rule.byWeekday.map((day) => ICS_WEEKDAYS[day]).join(',')}`);
+  }
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${icsDate(rule.until)}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+  return parts.join(';');
+};
+
+export const ICS_HEADER = 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//todo-app//Tasks//EN\r\n';
+export const ICS_FOOTER = 'END:VCALENDAR\r\n';
+
+/**
+ * A task as an iCalendar VTODO component
+ */
+export const toIcsTodo = (task, now = new Date()) => {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:${task._id}@todo-app`,
+    `DTSTAMP:${icsDate(now)}`,
+    `CREATED:${icsDate(task.createdAt)}`,
+    `LAST-MODIFIED:${icsDate(task.updatedAt)}`,
+    `SUMMARY:${icsText(task.title)}`,
+  ];
+
+  if (task.description) lines.push(`DESCRIPTION:${icsText(task.description)}`);
+  if (task.dueDate) lines.push(`DUE:${icsDate(task.dueDate)}`);
+  lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+  if (task.completedAt) lines.push(`COMPLETED:${icsDate(task.completedAt)}`);
+  lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority] || 0}`);
+  if (task.tags?.length) {
+    lines.push(`CATEGORIES:${task.tags.map((tag) => icsText(tag.name || tag)).join(',')}`);
+  }
+  if (task.parent) lines.push(`RELATED-TO:${refId(task.parent)}@todo-app`);
+  if (task.recurrence?.frequency) lines.push(`RRULE:${toRrule(task.recurrence)}`);
+  lines.push('END:VTODO');
+
+  return lines.map((line) => `${foldLine(line)}\r\n`).join('');
+};
+
+/**
+ * Pick the import format from the request, the file name or its MIME type
+ */
+export const detectImportFormat = (format, file) => {
+  if (format) return format;
+  if (/\.json$/i.test(file.originalname) || file.mimetype === 'application/json') return 'json';
+  if (/\.csv$/i.test(file.originalname) || /csv|excel/.test(file.mimetype)) return 'csv';
+
+  throw fieldError('format', 'Could not detect the file format; set format to csv or json');
+};
+
+/**
+ * Resolve the mapping of task fields to source columns (or JSON keys)
+ * Fields without a mapping are read from a column with the field's name (case-insensitive)
+ */
+const resolveMapping = (mapping, columns) => {
+  const unknown = Object.keys(mapping).filter((field) => !IMPORT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw fieldError(
+      'mapping',
+      `Unknown fields in mapping: ${unknown.join(', ')} (allowed: ${IMPORT_FIELDS.join(', ')})`
+    );
+  }
+
+  const byLowerName = new Map(columns.map((column) => [column.toLowerCase(), column]));
+  const resolved = {};
+
+  for (const field of IMPORT_FIELDS) {
+    if (mapping[field] !== undefined) {
+      if (columns.length > 0 && !columns.includes(mapping[field])) {
+        throw fieldError('mapping', `Column "${mapping[field]}" (for ${field}) was not found`);
+      }
+      resolved[field] = mapping[field];
+    } else if (byLowerName.has(field.toLowerCase())) {
+      resolved[field] = byLowerName.get(field.toLowerCase());
+    }
+  }
+
+  if (!resolved.title) {
+    throw fieldError('mapping', 'No column found for title; map one with mapping.title');
+  }
+
+  return resolved;
+};
+
+/**
+ * Read an import file into records: [{ row, values }]
+ * row is the 1-based record number (not counting the CSV header); values are keyed by task field
+ */
+export const readImportRecords = (buffer, format, mapping = {}) => {
+  // Drop a UTF-8 byte order mark (added by some spreadsheet apps)
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  let objects;
+  let columns;
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      throw fieldError('file', 'File is not valid JSON');
+    }
+
+    objects = Array.isArray(parsed) ? parsed : parsed?.tasks;
+    if (!Array.isArray(objects) || objects.some((item) => !item || typeof item !== 'object')) {
+      throw fieldError('file', 'JSON must be an array of task objects (or { "tasks": [...] })');
+    }
+    columns = [...new Set(objects.flatMap((item) => Object.keys(item)))];
+  } else {
+    const [header = [], ...rows] = parseCsv(text);
+    columns = header.map((column) => column.trim());
+    objects = rows.map((row) => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+  }
+
+  const resolved = resolveMapping(mapping, columns);
+
+  return objects.map((item, index) => ({
+    row: index + 1,
+    values: Object.fromEntries(
+      Object.entries(resolved).map(([field, column]) => [field, item[column]])
+    ),
+  }));
+};
+
+const BOOLEAN_VALUES = {
+  true: true,
+  yes: true,
+  y: true,
+  1: true,
+  x: true,
+  done: true,
+  false: false,
+  no: false,
+  n: false,
+  0: false,
+  '': false,
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Convert the raw values of an import record to task fields
+ * Returns { fields, errors }, errors being [{ field, message }]
+ */
+export const parseImportValues = (values, priorities) => {
+  const fields = {};
+  const errors = [];
+
+  const parseDateValue = (field) => {
+    if (isBlank(values[field])) return null;
+    const date = new Date(values[field]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ field, message: `${field} must be a valid date` });
+      return null;
+    }
+    return date;
+  };
+
+  fields.title = isBlank(values.title) ? '' : String(values.title).trim();
+  if (!fields.title) {
+    errors.push({ field: 'title', message: 'Task title is required' });
+  }
+
+  if (!isBlank(values.description)) {
+    fields.description = String(values.description).trim();
+  }
+
+  if (typeof values.completed === 'boolean') {
+    fields.completed = values.completed;
+  } else {
+    const text = String(values.completed ?? '');
+    const completed = BOOLEAN_VALUES[text.trim().toLowerCase()];
+    if (completed === undefined) {
+      errors.push({ field: 'completed', message: 'completed must be true or false' });
+    } else {
+      fields.completed = completed;
+    }
+  }
+
+  fields.dueDate = parseDateValue('dueDate');
+  const completedAt = parseDateValue('completedAt');
+  if (fields.completed) {
+    fields.completedAt = completedAt || new Date();
+  }
+
+  if (!isBlank(values.priority)) {
+    const priority = String(values.priority).trim().toLowerCase();
+    if (priorities.includes(priority)) {
+      fields.priority = priority;
+    } else {
+      errors.push({
+        field: 'priority',
+        message: `Priority must be one of: ${priorities.join(', ')}`,
+      });
+    }
+  }
+
+  if (!isBlank(values.tags)) {
+    const names = Array.isArray(values.tags) ? values.tags : String(values.tags).split(/[;,]/);
+    fields.tagNames = [...new Set(names.map((name) => String(name).trim()).filter(Boolean))];
+    if (fields.tagNames.some((name) => name.length > 50)) {
+      errors.push({ field: 'tags', message: 'Tag names cannot exceed 50 characters' });
+    }
+  }
+
+  if (!isBlank(values.owner)) {
+    fields.ownerEmail = String(values.owner).trim().toLowerCase();
+  }
+
+  return { fields, errors };
+};
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+/**
+ * MongoDB transaction helpers
+ * Transactions need a replica set or sharded cluster; on a standalone server
+ * work runs without a session instead.
+ */
+
+let transactionsSupported;
+
+// Callbacks waiting for a session's transaction to commit (see afterCommit)
+const commitCallbacks = new WeakMap();
+
+/**
+ * Whether the connected MongoDB deployment supports transactions (cached)
+ */
+export const supportsTransactions = async () => {
+  if (transactionsSupported === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return transactionsSupported;
+};
+
+/**
+ * Run fn(session) inside a transaction when supported, otherwise fn(null)
+ * fn may be retried on transient transaction errors, so it must rebuild its state
+ */
+export const runInTransaction = async (fn) => {
+  if (!(await supportsTransactions())) {
+    return fn(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      // Callbacks queued by an aborted attempt are dropped with it
+      commitCallbacks.set(session, []);
+      result = await fn(session);
+    });
+    commitCallbacks.get(session).forEach((callback) => callback());
+    return result;
+  } finally {
+    commitCallbacks.delete(session);
+    await session.endSession();
+  }
+};
+
+/**
+ * Run callback once the session's transaction commits (never if it aborts)
+ * Without a transaction the callback runs right away
+ */
+export const afterCommit = (session, callback) => {
+  const callbacks = session && commitCallbacks.get(session);
+
+  if (callbacks) {
+    callbacks.push(callback);
+  } else {
+    callback();
+  }
+};
@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import config from '../config/config.js';
+import logger from './logger.js';
+
+/**
+ * Outgoing webhooks
+ * Each request is a POST with a JSON body { id, type, createdAt, data } and headers:
+ *   X-Webhook-Event       event type
+ *   X-Webhook-Delivery    delivery id (the same on every retry)
+ *   X-Webhook-Timestamp   unix time of the attempt, in seconds
+ *   X-Webhook-Signature   "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret
+ * Requests to private, loopback and link-local addresses are refused (unless
+ * WEBHOOK_ALLOW_PRIVATE_NETWORKS is set), checked on the addresses actually connected to.
+ */
+
+// Stored response bodies are truncated to this many characters
+const MAX_RESPONSE_BODY = 1000;
+
+// How long a delivery being sent is hidden from other workers
+export const DELIVERY_LEASE_MS = config.webhooks.timeoutMs + 60 * 1000;
+
+// Addresses webhooks may not be sent to: unspecified, private, shared (CGNAT), loopback,
+// link-local, benchmarking, multicast and reserved ranges (BlockList checks IPv4-mapped
+// IPv6 addresses against the IPv4 ranges)
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is one webhooks may not be sent to
+ */
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const privateAddressError = (host, address) =>
+  new Error(`Refusing to send to ${host}: ${address} is a private address`);
+
+// DNS lookup for outgoing requests that fails when the host resolves to a private address
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(privateAddressError(hostname, blocked.address));
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Signature of a request body sent at the given unix timestamp
+ */
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Request body for an event (stored as plain JSON, exactly as it is sent)
+const buildPayload = (event) =>
+  JSON.parse(
+    JSON.stringify({
+      id: event.id,
+      type: event.type,
+      createdAt: event.occurredAt,
+      data: event.data,
+    })
+  );
+
+// Delay before the retry that follows the given number of failed attempts
+const retryDelayMs = (failedAttempts) =>
+  config.webhooks.retryBaseSeconds * 1000 * 2 ** (failedAttempts - 1);
+
+/**
+ * Queue an event for every active webhook subscribed to it
+ */
+export const enqueueEvent = async (event) => {
+  const webhooks = await Webhook.find({ active: true, events: event.type }).select('_id');
+
+  if (webhooks.length === 0) {
+    return [];
+  }
+
+  const payload = buildPayload(event);
+  return WebhookDelivery.insertMany(
+    webhooks.map((webhook) => ({ webhook: webhook._id, event: event.type, payload }))
+  );
+};
+
+/**
+ * Queue a "ping" event for a webhook (sent once, without retries)
+ * The delivery starts out leased, for the caller to send right away.
+ */
+export const enqueueTestEvent = (webhook) => {
+  const event = {
+    id: crypto.randomUUID(),
+    type: 'ping',
+    occurredAt: new Date(),
+    data: { webhook: { id: webhook._id, url: webhook.url, events: webhook.events } },
+  };
+
+  return WebhookDelivery.create({
+    webhook: webhook._id,
+    event: event.type,
+    payload: buildPayload(event),
+    maxAttempts: 1,
+    nextAttemptAt: new Date(Date.now() + DELIVERY_LEASE_MS),
+  });
+};
+
+// POST a body to a URL without following redirects
+// Resolves with the response status and the start of the response body
+const post = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    const allowPrivate = config.webhooks.allowPrivateNetworks;
+
+    // IP literals aren't looked up, so they are checked here
+    if (!allowPrivate && isPrivateAddress(host)) {
+      reject(privateAddressError(host, host));
+      return;
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        ...(!allowPrivate && { lookup: publicLookup }),
+      },
+      (response) => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          if (text.length < MAX_RESPONSE_BODY) text += chunk;
+        });
+        response.on('end', () => {
+          clearTimeout(timer);
+          resolve({ status: response.statusCode, body: text.slice(0, MAX_RESPONSE_BODY) });
+        });
+        response.on('error', reject);
+      }
+    );
+
+    const timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${config.webhooks.timeoutMs} ms`);
+      error.name = 'TimeoutError';
+      request.destroy(error);
+    }, config.webhooks.timeoutMs);
+
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+
+// POST the delivery to the webhook and describe the attempt
+const postDelivery = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { attemptedAt: new Date() };
+  const startedAt = Date.now();
+
+  try {
+    // Redirects are reported as failures rather than followed
+    const response = await post(
+      webhook.url,
+      {
+        'Content-Type': 'application/json',
+        'User-Agent': 'todo-app-webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body
+    );
+    attempt.responseStatus = response.status;
+    attempt.responseBody = response.body;
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  return attempt;
+};
+
+/**
+ * Make one delivery attempt and record its outcome
+ * Failed attempts are rescheduled with exponential backoff until maxAttempts is reached.
+ */
+export const sendDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  // Deliveries to deleted or disabled webhooks fail without being retried
+  let attempt;
+  let retryable = false;
+  if (!webhook) {
+    attempt = { attemptedAt: new Date(), error: 'Webhook no longer exists' };
+  } else if (!webhook.active && delivery.event !== 'ping') {
+    attempt = { attemptedAt: new Date(), error: 'Webhook is disabled' };
+  } else {
+    retryable = true;
+    attempt = await postDelivery(webhook, delivery);
+  }
+
+  const succeeded = attempt.responseStatus >= 200 && attempt.responseStatus < 300;
+  delivery.attempts.push(attempt);
+
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    delivery.completedAt = new Date();
+  } else if (!retryable || delivery.attempts.length >= delivery.maxAttempts) {
+    delivery.status = 'failed';
+    delivery.completedAt = new Date();
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attempts.length));
+  }
+
+  await delivery.save();
+
+  if (webhook) {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      {
+        lastDeliveryAt: attempt.attemptedAt,
+        lastDeliveryStatus: succeeded ? 'succeeded' : 'failed',
+      }
+    );
+  }
+
+  logger[succeeded ? 'info' : 'warn']({
+    message: succeeded ? 'Webhook delivered' : 'Webhook delivery attempt failed',
+    webhookId: delivery.webhook,
+    deliveryId: delivery._id,
+    event: delivery.event,
+    attempt: delivery.attempts.length,
+    status: delivery.status,
+    responseStatus: attempt.responseStatus,
+    error: attempt.error,
+  });
+
+  return delivery;
+};
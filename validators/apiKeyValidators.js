@@ -0,0 +1,31 @@
+import { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { idParam, requiredString } from './common.js';
+
+/**
+ * Validation schemas for API key routes
+ */
+
+export const createApiKeySchema = {
+  name: requiredString('API key name', { max: 100 }),
+  scopes: {
+    isArray: { options: { min: 1 }, errorMessage: 'Scopes must be a non-empty array' },
+  },
+  'scopes.*': {
+    isIn: {
+      options: [API_KEY_SCOPES],
+      errorMessage: `Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`,
+    },
+  },
+  expiresInDays: {
+    optional: true,
+    isInt: {
+      options: { min: 1, max: 3650 },
+      errorMessage: 'expiresInDays must be between 1 and 3650',
+    },
+    toInt: true,
+  },
+};
+
+export const apiKeyIdSchema = {
+  id: idParam(),
+};
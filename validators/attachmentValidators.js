@@ -0,0 +1,11 @@
+import { idParam } from './common.js';
+
+/**
+ * Validation schemas for task attachment routes
+ * (the uploaded file itself is checked by the upload middleware)
+ */
+
+export const attachmentIdSchema = {
+  id: idParam(),
+  attachmentId: idParam('attachmentId'),
+};
@@ -0,0 +1,60 @@
+import { CHANGE_TYPES } from '../models/TaskHistory.js';
+import {
+  idParam,
+  optionalObjectId,
+  optionalOneOf,
+  queryDate,
+  queryString,
+  cursorPagination,
+  pagination,
+} from './common.js';
+
+/**
+ * Validation schemas for audit log routes
+ */
+
+const AUDIT_EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const auditFilters = {
+  model: queryString('model'),
+  taskId: optionalObjectId('taskId', 'query'),
+  userId: optionalObjectId('userId', 'query'),
+  changeType: optionalOneOf('changeType', CHANGE_TYPES, 'query'),
+  from: queryDate('from'),
+  to: queryDate('to'),
+};
+
+export const getAuditLogsSchema = {
+  ...cursorPagination,
+  ...auditFilters,
+};
+
+export const exportAuditLogsSchema = {
+  ...auditFilters,
+  format: {
+    in: ['query'],
+    isIn: {
+      options: [AUDIT_EXPORT_FORMATS],
+      errorMessage: `format must be one of: ${AUDIT_EXPORT_FORMATS.join(', ')}`,
+    },
+  },
+};
+
+export const verifyAuditLogsSchema = {
+  taskId: optionalObjectId('taskId', 'query'),
+  after: optionalObjectId('after', 'query'),
+  limit: pagination.limit,
+};
+
+export const taskAuditLogsSchema = {
+  taskId: idParam('taskId'),
+};
+
+export const taskStateAtSchema = {
+  taskId: idParam('taskId'),
+  timestamp: {
+    in: ['query'],
+    exists: { errorMessage: 'timestamp is required', bail: true },
+    isISO8601: { errorMessage: 'timestamp must be a valid date' },
+  },
+};
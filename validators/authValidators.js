@@ -0,0 +1,36 @@
+import { email, requiredString } from './common.js';
+
+/**
+ * Validation schemas for auth routes
+ */
+
+export const signupSchema = {
+  email,
+  password: requiredString('Password'),
+};
+
+export const loginSchema = {
+  email,
+  password: requiredString('Password'),
+};
+
+export const refreshTokenSchema = {
+  refreshToken: requiredString('Refresh token'),
+};
+
+export const forgotPasswordSchema = {
+  email,
+};
+
+export const resetPasswordSchema = {
+  token: requiredString('Token'),
+  password: requiredString('Password'),
+};
+
+export const resendVerificationSchema = {
+  email,
+};
+
+export const verifyEmailSchema = {
+  token: requiredString('Token'),
+};
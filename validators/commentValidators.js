@@ -0,0 +1,28 @@
+import { idParam, pagination, requiredString } from './common.js';
+
+/**
+ * Validation schemas for task comment routes
+ */
+
+const body = requiredString('Comment', { max: 5000 });
+
+export const getCommentsSchema = {
+  id: idParam(),
+  ...pagination,
+};
+
+export const createCommentSchema = {
+  id: idParam(),
+  body,
+};
+
+export const updateCommentSchema = {
+  id: idParam(),
+  commentId: idParam('commentId'),
+  body,
+};
+
+export const commentIdSchema = {
+  id: idParam(),
+  commentId: idParam('commentId'),
+};
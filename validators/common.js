@@ -0,0 +1,184 @@
+/**
+ * Reusable express-validator schema fragments
+ * Used by the route schemas in this directory
+ */
+
+/**
+ * For routes that take no input; rejects any body or query fields
+ */
+export const emptySchema = {};
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+/**
+ * A required MongoDB ObjectId
+ */
+export const objectId = (name, location = 'body') => ({
+  in: [location],
+  exists: { errorMessage: `${name} is required`, bail: true },
+  isMongoId: { errorMessage: `${name} must be a valid ID` },
+});
+
+/**
+ * An optional MongoDB ObjectId
+ */
+export const optionalObjectId = (name, location = 'body') => ({
+  in: [location],
+  optional: true,
+  isMongoId: { errorMessage: `${name} must be a valid ID` },
+});
+
+/**
+ * An ObjectId route param (e.g. /:id)
+ */
+export const idParam = (name = 'id') => objectId(name, 'params');
+
+/**
+ * A required non-empty string
+ */
+export const requiredString = (name, { max } = {}) => ({
+  exists: { errorMessage: `${name} is required`, bail: true },
+  isString: { errorMessage: `${name} must be a string`, bail: true },
+  trim: true,
+  notEmpty: { errorMessage: `${name} is required` },
+  ...(max && {
+    isLength: { options: { max }, errorMessage: `${name} cannot exceed ${max} characters` },
+  }),
+});
+
+/**
+ * An optional string; allowEmpty permits ''
+ */
+export const optionalString = (name, { max, allowEmpty = true } = {}) => ({
+  optional: true,
+  isString: { errorMessage: `${name} must be a string`, bail: true },
+  ...(!allowEmpty && { notEmpty: { errorMessage: `${name} cannot be empty` } }),
+  ...(max && {
+    isLength: { options: { max }, errorMessage: `${name} cannot exceed ${max} characters` },
+  }),
+});
+
+/**
+ * A required email address
+ */
+export const email = {
+  exists: { errorMessage: 'Email is required', bail: true },
+  isString: { errorMessage: 'Email must be a string', bail: true },
+  trim: true,
+  isEmail: { errorMessage: 'Please provide a valid email' },
+};
+
+/**
+ * A JSON boolean in the request body
+ */
+export const optionalBoolean = (name) => ({
+  optional: true,
+  isBoolean: { options: { strict: true }, errorMessage: `${name} must be true or false` },
+});
+
+/**
+ * A date in the request body, null clears it
+ */
+export const optionalNullableDate = (name) => ({
+  optional: { options: { values: 'null' } },
+  custom: { options: isValidDate, errorMessage: `${name} must be a valid date` },
+});
+
+/**
+ * An integer in the request body (a JSON number, not a numeric string)
+ * nullable also accepts null
+ */
+export const optionalInteger = (name, { min, max, nullable = false } = {}) => ({
+  optional: nullable ? { options: { values: 'null' } } : true,
+  custom: {
+    options: (value) =>
+      Number.isInteger(value) &&
+      (min === undefined || value >= min) &&
+      (max === undefined || value <= max),
+    errorMessage:
+      max === undefined
+        ? `${name} must be an integer of at least ${min}`
+        : `${name} must be an integer from ${min} to ${max}`,
+  },
+});
+
+/**
+ * Rejects keys of an object field other than the given ones
+ * (unknown field checks don't reach inside objects)
+ */
+export const onlyKeys = (name, keys) => ({
+  custom: {
+    options: (value) => {
+      const unknown = Object.keys(value).filter((key) => !keys.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown fields in ${name}: ${unknown.join(', ')}`);
+      }
+      return true;
+    },
+  },
+});
+
+/**
+ * One of a fixed set of values
+ */
+export const optionalOneOf = (name, values, location = 'body') => ({
+  in: [location],
+  optional: true,
+  isIn: { options: [values], errorMessage: `${name} must be one of: ${values.join(', ')}` },
+});
+
+/**
+ * Query params
+ */
+export const queryBoolean = (name) => ({
+  in: ['query'],
+  optional: true,
+  isIn: { options: [['true', 'false']], errorMessage: `${name} must be true or false` },
+});
+
+export const queryDate = (name) => ({
+  in: ['query'],
+  optional: true,
+  custom: { options: isValidDate, errorMessage: `${name} must be a valid date` },
+});
+
+export const queryString = (name) => ({
+  in: ['query'],
+  optional: true,
+  isString: { errorMessage: `${name} must be a single value` },
+});
+
+const positiveInt = (name) => ({
+  in: ['query'],
+  optional: true,
+  isInt: { options: { min: 1 }, errorMessage: `${name} must be a positive integer` },
+});
+
+/**
+ * page/limit pagination params
+ */
+export const pagination = {
+  page: positiveInt('page'),
+  limit: positiveInt('limit'),
+};
+
+/**
+ * Pagination params for lists that also support cursor mode
+ */
+export const cursorPagination = {
+  ...pagination,
+  paginate: optionalOneOf('paginate', ['page', 'cursor'], 'query'),
+  cursor: queryString('cursor'),
+};
+
+/**
+ * An ObjectId query filter that also accepts "none" (e.g. ?project=none)
+ */
+export const queryIdOrNone = (name) => ({
+  in: ['query'],
+  optional: true,
+  custom: {
+    options: (value) => value === 'none' || /^[a-f\d]{24}$/i.test(value),
+    errorMessage: `${name} must be a valid ID or "none"`,
+  },
+});
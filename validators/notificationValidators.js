@@ -0,0 +1,30 @@
+import { REMINDER_LEAD_MINUTES } from '../models/User.js';
+import { idParam, optionalBoolean, pagination, queryBoolean } from './common.js';
+
+/**
+ * Validation schemas for notification routes
+ */
+
+export const getNotificationsSchema = {
+  ...pagination,
+  unread: queryBoolean('unread'),
+};
+
+export const notificationIdSchema = {
+  id: idParam(),
+};
+
+export const updatePreferencesSchema = {
+  taskAssigned: optionalBoolean('taskAssigned'),
+  taskChanged: optionalBoolean('taskChanged'),
+  mentions: optionalBoolean('mentions'),
+  dueReminders: optionalBoolean('dueReminders'),
+  reminderLeadMinutes: {
+    optional: true,
+    isInt: {
+      options: REMINDER_LEAD_MINUTES,
+      errorMessage: `reminderLeadMinutes must be between ${REMINDER_LEAD_MINUTES.min} and ${REMINDER_LEAD_MINUTES.max}`,
+    },
+    toInt: true,
+  },
+};
@@ -0,0 +1,46 @@
+import { PROJECT_ROLES } from '../models/Project.js';
+import { idParam, objectId, requiredString, optionalString, optionalOneOf } from './common.js';
+
+/**
+ * Validation schemas for project routes
+ */
+
+const role = {
+  exists: { errorMessage: 'Project role is required', bail: true },
+  isIn: {
+    options: [PROJECT_ROLES],
+    errorMessage: `Project role must be one of: ${PROJECT_ROLES.join(', ')}`,
+  },
+};
+
+export const createProjectSchema = {
+  name: requiredString('Project name', { max: 100 }),
+  description: optionalString('Description', { max: 1000 }),
+};
+
+export const updateProjectSchema = {
+  id: idParam(),
+  name: optionalString('Project name', { max: 100, allowEmpty: false }),
+  description: optionalString('Description', { max: 1000 }),
+};
+
+export const projectIdSchema = {
+  id: idParam(),
+};
+
+export const addMemberSchema = {
+  id: idParam(),
+  userId: objectId('userId'),
+  role: optionalOneOf('Project role', PROJECT_ROLES),
+};
+
+export const updateMemberSchema = {
+  id: idParam(),
+  userId: idParam('userId'),
+  role,
+};
+
+export const memberSchema = {
+  id: idParam(),
+  userId: idParam('userId'),
+};
@@ -0,0 +1,47 @@
+import { PERMISSION_NAMES, ROLE_NAME_PATTERN } from '../models/Role.js';
+import { optionalString } from './common.js';
+
+/**
+ * Validation schemas for role routes
+ */
+
+const ROLE_NAME_MESSAGE = 'Role name must be a lowercase slug of 2-30 characters';
+
+const nameParam = {
+  in: ['params'],
+  matches: { options: [ROLE_NAME_PATTERN], errorMessage: ROLE_NAME_MESSAGE },
+};
+
+const permissions = {
+  isArray: { errorMessage: 'Permissions must be an array' },
+};
+
+const permissionItems = {
+  isIn: {
+    options: [PERMISSION_NAMES],
+    errorMessage: `Permissions must be one of: ${PERMISSION_NAMES.join(', ')}`,
+  },
+};
+
+export const createRoleSchema = {
+  name: {
+    exists: { errorMessage: 'Role name is required', bail: true },
+    isString: { errorMessage: 'Role name must be a string', bail: true },
+    trim: true,
+    matches: { options: [ROLE_NAME_PATTERN], errorMessage: ROLE_NAME_MESSAGE },
+  },
+  description: optionalString('Description', { max: 200 }),
+  permissions: { exists: { errorMessage: 'Permissions are required', bail: true }, ...permissions },
+  'permissions.*': permissionItems,
+};
+
+export const updateRoleSchema = {
+  name: nameParam,
+  description: optionalString('Description', { max: 200 }),
+  permissions: { optional: true, ...permissions },
+  'permissions.*': permissionItems,
+};
+
+export const roleNameSchema = {
+  name: nameParam,
+};
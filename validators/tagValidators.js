@@ -0,0 +1,31 @@
+import { idParam, objectId, requiredString, optionalString } from './common.js';
+
+/**
+ * Validation schemas for tag routes
+ */
+
+const color = {
+  optional: true,
+  isString: { errorMessage: 'Color must be a hex color like #ff8800', bail: true },
+  matches: { options: /^#[0-9a-fA-F]{6}$/, errorMessage: 'Color must be a hex color like #ff8800' },
+};
+
+export const createTagSchema = {
+  name: requiredString('Tag name', { max: 50 }),
+  color,
+};
+
+export const updateTagSchema = {
+  id: idParam(),
+  name: optionalString('Tag name', { max: 50, allowEmpty: false }),
+  color,
+};
+
+export const tagIdSchema = {
+  id: idParam(),
+};
+
+export const mergeTagSchema = {
+  id: idParam(),
+  targetId: objectId('targetId'),
+};
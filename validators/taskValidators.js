@@ -0,0 +1,250 @@
+import { PRIORITIES } from '../models/Task.js';
+import { FREQUENCIES } from '../utils/recurrence.js';
+import { EXPORT_FORMATS, IMPORT_FORMATS } from '../utils/taskTransfer.js';
+import { STATS_BUCKETS } from '../utils/taskStats.js';
+import {
+  idParam,
+  optionalObjectId,
+  objectId,
+  requiredString,
+  optionalString,
+  optionalBoolean,
+  optionalNullableDate,
+  optionalOneOf,
+  optionalInteger,
+  onlyKeys,
+  queryBoolean,
+  queryDate,
+  queryString,
+  queryIdOrNone,
+  pagination,
+  cursorPagination,
+} from './common.js';
+
+/**
+ * Validation schemas for task routes
+ */
+
+const MAX_BULK_OPERATIONS = 200;
+
+const tags = {
+  tags: {
+    optional: true,
+    isArray: { errorMessage: 'Tags must be an array of tag IDs' },
+  },
+  'tags.*': {
+    isMongoId: { errorMessage: 'Tags must be an array of tag IDs' },
+  },
+};
+
+// Fields shared by tasks and subtasks
+const taskFields = {
+  description: optionalString('Description', { max: 1000 }),
+  dueDate: optionalNullableDate('dueDate'),
+  priority: optionalOneOf('Priority', PRIORITIES),
+  ...tags,
+};
+
+const RECURRENCE_KEYS = [
+  'frequency',
+  'interval',
+  'byWeekday',
+  'byMonthDay',
+  'until',
+  'count',
+  'startDate',
+  'occurrence',
+];
+
+// Whether the rule as a whole is valid (e.g. needs a dueDate) is checked by normalizeRecurrence
+const recurrence = {
+  recurrence: {
+    optional: { options: { values: 'null' } },
+    isObject: { errorMessage: 'Recurrence must be an object', bail: true },
+    ...onlyKeys('recurrence', RECURRENCE_KEYS),
+  },
+  'recurrence.frequency': optionalOneOf('Recurrence frequency', FREQUENCIES),
+  'recurrence.interval': optionalInteger('Recurrence interval', { min: 1 }),
+  'recurrence.byWeekday': {
+    optional: true,
+    isArray: { errorMessage: 'Recurrence byWeekday must be an array of weekdays' },
+  },
+  'recurrence.byWeekday.*': optionalInteger('Recurrence byWeekday', { min: 0, max: 6 }),
+  'recurrence.byMonthDay': optionalInteger('Recurrence byMonthDay', { min: 1, max: 31 }),
+  'recurrence.until': optionalNullableDate('Recurrence until'),
+  'recurrence.count': optionalInteger('Recurrence count', { min: 1, nullable: true }),
+  'recurrence.startDate': optionalNullableDate('Recurrence startDate'),
+  'recurrence.occurrence': optionalInteger('Recurrence occurrence', { min: 1 }),
+};
+
+const project = {
+  optional: { options: { values: 'falsy' } },
+  isMongoId: { errorMessage: 'project must be a valid ID' },
+};
+
+export const getTasksSchema = {
+  ...cursorPagination,
+  sort: queryString('sort'),
+  user: optionalObjectId('user', 'query'),
+  project: queryIdOrNone('project'),
+  parent: queryIdOrNone('parent'),
+  completed: queryBoolean('completed'),
+  overdue: queryBoolean('overdue'),
+  createdFrom: queryDate('createdFrom'),
+  createdTo: queryDate('createdTo'),
+  updatedFrom: queryDate('updatedFrom'),
+  updatedTo: queryDate('updatedTo'),
+  dueAfter: queryDate('dueAfter'),
+  dueBefore: queryDate('dueBefore'),
+  priority: {
+    in: ['query'],
+    optional: true,
+    custom: {
+      options: (value) =>
+        typeof value === 'string' && value.split(',').every((p) => PRIORITIES.includes(p)),
+      errorMessage: `Priority must be one of: ${PRIORITIES.join(', ')}`,
+    },
+  },
+  tags: queryString('tags'),
+  tagMode: optionalOneOf('tagMode', ['any', 'all'], 'query'),
+  search: queryString('search'),
+};
+
+export const taskIdSchema = {
+  id: idParam(),
+};
+
+// Body fields of a new task
+const createFields = {
+  title: requiredString('Task title', { max: 200 }),
+  owner: optionalObjectId('owner'),
+  project,
+  ...recurrence,
+  ...taskFields,
+};
+
+// Body fields of a task update
+const updateFields = {
+  title: optionalString('Task title', { max: 200, allowEmpty: false }),
+  completed: optionalBoolean('completed'),
+  owner: optionalObjectId('owner'),
+  project,
+  ...recurrence,
+  ...taskFields,
+};
+
+// Top-level field names of a schema (nested rules such as "tags.*" excluded)
+const fieldNames = (fields) => Object.keys(fields).filter((key) => !key.includes('.'));
+
+// Apply a schema's rules to the fields of a nested object (e.g. "operations.*.data")
+const nested = (prefix, fields) =>
+  Object.fromEntries(Object.entries(fields).map(([key, rule]) => [`${prefix}.${key}`, rule]));
+
+export const createTaskSchema = createFields;
+
+export const updateTaskSchema = {
+  id: idParam(),
+  ...updateFields,
+};
+
+export const getTrashSchema = {
+  ...pagination,
+  user: optionalObjectId('user', 'query'),
+};
+
+export const taskEventsSchema = {
+  user: optionalObjectId('user', 'query'),
+};
+
+export const taskStatsSchema = {
+  bucket: optionalOneOf('bucket', STATS_BUCKETS, 'query'),
+  from: queryDate('from'),
+  to: queryDate('to'),
+};
+
+export const exportTasksSchema = {
+  format: {
+    in: ['query'],
+    isIn: {
+      options: [EXPORT_FORMATS],
+      errorMessage: `format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+    },
+  },
+  user: optionalObjectId('user', 'query'),
+  project: queryIdOrNone('project'),
+  completed: queryBoolean('completed'),
+};
+
+// Import fields arrive as multipart form fields, so they are all strings
+export const importTasksSchema = {
+  format: optionalOneOf('format', IMPORT_FORMATS),
+  mapping: optionalString('mapping', { max: 2000 }),
+  dryRun: optionalOneOf('dryRun', ['true', 'false']),
+  duplicates: optionalOneOf('duplicates', ['skip', 'import']),
+  project: optionalObjectId('project'),
+};
+
+export const getOccurrencesSchema = {
+  id: idParam(),
+  limit: pagination.limit,
+};
+
+export const createSubtaskSchema = {
+  id: idParam(),
+  title: requiredString('Task title', { max: 200 }),
+  ...taskFields,
+};
+
+export const revertTaskSchema = {
+  id: idParam(),
+  historyId: objectId('historyId'),
+};
+
+const BULK_DATA_FIELDS = {
+  create: fieldNames(createFields),
+  update: fieldNames(updateFields),
+};
+
+export const bulkTasksSchema = {
+  operations: {
+    isArray: {
+      options: { min: 1, max: MAX_BULK_OPERATIONS },
+      errorMessage: `Operations must be an array of 1 to ${MAX_BULK_OPERATIONS} items`,
+    },
+  },
+  'operations.*.op': {
+    isIn: {
+      options: [['create', 'update', 'complete', 'delete', 'reassign']],
+      errorMessage: 'op must be one of: create, update, complete, delete, reassign',
+    },
+  },
+  'operations.*.id': optionalObjectId('id'),
+  'operations.*.owner': optionalObjectId('owner'),
+  'operations.*.data': {
+    optional: true,
+    isObject: { errorMessage: 'data must be an object', bail: true },
+    custom: {
+      // data takes the fields of createTaskSchema or updateTaskSchema, depending on the op
+      options: (data, { req, path }) => {
+        const index = Number(path.match(/^operations\[(\d+)\]/)[1]);
+        const { op } = req.body.operations[index];
+        const allowed = BULK_DATA_FIELDS[op];
+
+        if (!allowed) {
+          throw new Error(`data is not used by ${op}`);
+        }
+        const unknown = Object.keys(data).filter((key) => !allowed.includes(key));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown fields in data for ${op}: ${unknown.join(', ')}`);
+        }
+        if (op === 'create' && data.title === undefined) {
+          throw new Error('Task title is required');
+        }
+        return true;
+      },
+    },
+  },
+  // Titles are required for create, which the data check above enforces
+  ...nested('operations.*.data', { ...createFields, ...updateFields }),
+  atomic: optionalBoolean('atomic'),
+};
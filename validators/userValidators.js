@@ -0,0 +1,49 @@
+import { ROLE_NAME_PATTERN } from '../models/Role.js';
+import { STATS_BUCKETS } from '../utils/taskStats.js';
+import { email, idParam, requiredString, optionalOneOf, queryDate, pagination } from './common.js';
+
+/**
+ * Validation schemas for user management routes
+ */
+
+const roles = {
+  isArray: { options: { min: 1 }, errorMessage: 'Roles array is required', bail: true },
+};
+
+// Whether the roles exist is checked by the controller
+const roleItems = {
+  matches: { options: [ROLE_NAME_PATTERN], errorMessage: 'Roles must be role names' },
+};
+
+export const createUserSchema = {
+  email,
+  password: requiredString('Password'),
+  roles: { optional: true, ...roles },
+  'roles.*': roleItems,
+};
+
+export const changeUserRoleSchema = {
+  id: idParam(),
+  roles,
+  'roles.*': roleItems,
+};
+
+export const userIdSchema = {
+  id: idParam(),
+};
+
+const statsRange = {
+  bucket: optionalOneOf('bucket', STATS_BUCKETS, 'query'),
+  from: queryDate('from'),
+  to: queryDate('to'),
+};
+
+export const allUserStatsSchema = {
+  ...statsRange,
+  limit: pagination.limit,
+};
+
+export const userStatsSchema = {
+  id: idParam(),
+  ...statsRange,
+};
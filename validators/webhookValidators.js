@@ -0,0 +1,59 @@
+import { WEBHOOK_EVENTS } from '../models/Webhook.js';
+import { DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+import { idParam, optionalBoolean, optionalOneOf, optionalString, pagination } from './common.js';
+
+/**
+ * Validation schemas for webhook routes
+ */
+
+const URL_OPTIONS = { protocols: ['http', 'https'], require_protocol: true, require_tld: false };
+
+const url = {
+  isString: { errorMessage: 'Webhook URL must be a string', bail: true },
+  trim: true,
+  isURL: { options: URL_OPTIONS, errorMessage: 'Webhook URL must be a valid http(s) URL' },
+  isLength: { options: { max: 2000 }, errorMessage: 'Webhook URL cannot exceed 2000 characters' },
+};
+
+const events = {
+  isArray: { options: { min: 1 }, errorMessage: 'Events must be a non-empty array' },
+};
+
+const eventItems = {
+  isIn: {
+    options: [WEBHOOK_EVENTS],
+    errorMessage: `Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`,
+  },
+};
+
+export const createWebhookSchema = {
+  url: { exists: { errorMessage: 'Webhook URL is required', bail: true }, ...url },
+  description: optionalString('Description', { max: 200 }),
+  events: { exists: { errorMessage: 'Events are required', bail: true }, ...events },
+  'events.*': eventItems,
+  active: optionalBoolean('active'),
+};
+
+export const updateWebhookSchema = {
+  id: idParam(),
+  url: { optional: true, ...url },
+  description: optionalString('Description', { max: 200 }),
+  events: { optional: true, ...events },
+  'events.*': eventItems,
+  active: optionalBoolean('active'),
+};
+
+export const webhookIdSchema = {
+  id: idParam(),
+};
+
+export const deliveryListSchema = {
+  id: idParam(),
+  ...pagination,
+  status: optionalOneOf('status', DELIVERY_STATUSES, 'query'),
+};
+
+export const deliveryIdSchema = {
+  id: idParam(),
+  deliveryId: idParam('deliveryId'),
+};